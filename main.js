@@ -1,25 +1,16 @@
 import './style.css'
 import { initScene } from './src/scene.js'
+import { applyUrlTheme } from './src/theme-service.js'
+import { initThemeSwitcher } from './src/theme-switcher.js'
+import { initMotionToggle } from './src/motion-toggle.js'
+import { readUrlSeed } from './src/random.js'
+import { initSeedControl } from './src/seed-control.js'
 
-initScene('canvas-container');
+// Shared ?theme= / #theme= links are applied before the scene reads the theme
+applyUrlTheme();
+const scene = initScene('canvas-container', undefined, { seed: readUrlSeed() });
 
-// Theme Switcher Logic
-document.querySelectorAll('.theme-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-        const color = btn.getAttribute('data-color');
-        const bg = btn.getAttribute('data-bg');
-
-        // 1. Update CSS Variables
-        document.documentElement.style.setProperty('--color-primary', color);
-        document.documentElement.style.setProperty('--color-bg', bg);
-
-        // Update accent color for variety if needed, or keep it synced
-        document.documentElement.style.setProperty('--glass-border', `${color}33`); // 20% opacity approx
-
-        // 2. Dispatch Event for Three.js
-        const event = new CustomEvent('theme-change', {
-            detail: { color, bg }
-        });
-        window.dispatchEvent(event);
-    });
-});
+// Theme Switcher Logic (CSS variables and scene updates come from src/theme-service.js)
+initThemeSwitcher();
+initMotionToggle();
+initSeedControl(scene);
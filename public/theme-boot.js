@@ -0,0 +1,41 @@
+// Applies the stored theme's CSS variables before first paint, so pages don't
+// flash the default colors while their modules load. The variables are written
+// by src/theme-service.js, which owns everything else about themes.
+//
+// Themes stored before 'theme-css' existed only have 'theme' ({ color, bg });
+// their variables are derived here the same way until the service migrates
+// them on load.
+(function () {
+    const HEX = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+    function fullHex(value) {
+        return value.length === 4
+            ? '#' + value[1] + value[1] + value[2] + value[2] + value[3] + value[3]
+            : value;
+    }
+
+    function legacyVars() {
+        const theme = JSON.parse(localStorage.getItem('theme'));
+        if (!theme || !HEX.test(theme.color) || !HEX.test(theme.bg)) return null;
+
+        const color = fullHex(theme.color).toLowerCase();
+        return {
+            '--color-primary': color,
+            '--color-bg': fullHex(theme.bg).toLowerCase(),
+            '--glass-border': color + '33'
+        };
+    }
+
+    try {
+        const vars = JSON.parse(localStorage.getItem('theme-css')) || legacyVars();
+        if (!vars || typeof vars !== 'object') return;
+
+        Object.keys(vars).forEach(function (name) {
+            if (name.indexOf('--') === 0 && typeof vars[name] === 'string') {
+                document.documentElement.style.setProperty(name, vars[name]);
+            }
+        });
+    } catch (e) {
+        console.error('Theme boot:', e);
+    }
+})();
@@ -0,0 +1,109 @@
+// --- Color Utilities ---
+// Hex <-> RGB conversion and OKLab, a perceptual color space. Mixing in OKLab
+// changes perceived lightness evenly, avoiding the dark, muddy midpoints of a
+// straight sRGB mix.
+
+export function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => c / 255);
+}
+
+export function rgbToHex(rgb) {
+    return '#' + rgb
+        .map(c => Math.round(Math.min(Math.max(c, 0), 1) * 255).toString(16).padStart(2, '0'))
+        .join('');
+}
+
+export function srgbToLinear(c) {
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+export function linearToSrgb(c) {
+    return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+// sRGB (0-1) to OKLab, see https://bottosson.github.io/posts/oklab/
+export function rgbToOklab(rgb) {
+    const [r, g, b] = rgb.map(srgbToLinear);
+
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+}
+
+export function oklabToRgb([L, a, b]) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ].map(linearToSrgb);
+}
+
+// Mixes two hex colors in OKLab; `t` = 0 gives `from`, 1 gives `to`
+export function mixOklab(from, to, t) {
+    const a = rgbToOklab(hexToRgb(from));
+    const b = rgbToOklab(hexToRgb(to));
+    return rgbToHex(oklabToRgb(a.map((value, i) => value + (b[i] - value) * t)));
+}
+
+// --- HSL ---
+export function rgbToHsl([r, g, b]) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return [0, 0, l];
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+
+    return [h / 6, s, l];
+}
+
+export function hslToRgb([h, s, l]) {
+    if (s === 0) return [l, l, l];
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const channel = (t) => {
+        t = (t % 1 + 1) % 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3)];
+}
+
+// Same as THREE.Color#offsetHSL, on hex strings (hue wraps, s and l clamp).
+// Like three.js, the offset is applied to the HSL of the linear color.
+export function offsetHsl(hex, dh, ds, dl) {
+    const [h, s, l] = rgbToHsl(hexToRgb(hex).map(srgbToLinear));
+    const clamp = (v) => Math.min(Math.max(v, 0), 1);
+    return rgbToHex(hslToRgb([(h + dh) % 1, clamp(s + ds), clamp(l + dl)]).map(linearToSrgb));
+}
+
+// --- Contrast (WCAG 2.x) ---
+export function relativeLuminance(hex) {
+    const [r, g, b] = hexToRgb(hex).map(srgbToLinear);
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// 1 (no contrast) to 21 (black on white)
+export function contrastRatio(a, b) {
+    const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
@@ -0,0 +1,159 @@
+// --- Content Manifest ---
+// Every knowledge topic is one Markdown file in content/topics/, named after
+// its id (the details page section id, e.g. render-loop.md). Front matter
+// holds the metadata, the Markdown below it is the body:
+//
+//   ---
+//   title: Optimized Render Loop
+//   cardTitle: Render Loop          (optional, shorter title for the docs card)
+//   summary: One sentence for the docs card.
+//   category: Core Architecture
+//   action: Analyze                 (optional, docs card link text)
+//   related: [event-system, memory-heap]
+//   order: 3                        (optional, sorts topics and categories)
+//   ---
+//
+// The docs card grid and the details node cloud are both built from
+// `topics`. Files are bundled through import.meta.glob, so during dev Vite
+// reloads the page when a topic is edited, added or removed.
+
+const files = import.meta.glob('../content/topics/*.md', { query: '?raw', import: 'default', eager: true });
+
+// --- Front Matter ---
+// A YAML subset: `key: value` lines, `[a, b]` or `- item` lists, numbers and
+// optionally quoted strings
+function parseValue(text) {
+    const value = text.trim();
+    if (value.startsWith('[') && value.endsWith(']')) {
+        return value.slice(1, -1).split(',').map(parseValue).filter(item => item !== '');
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value.replace(/^(["'])(.*)\1$/, '$2');
+}
+
+function parseFrontMatter(source, path) {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) throw new Error(`Content: ${path} has no front matter`);
+
+    const data = {};
+    let listKey = null;
+    match[1].split(/\r?\n/).forEach(line => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        const item = line.match(/^\s+-\s+(.*)$/);
+        if (item && listKey) {
+            data[listKey].push(parseValue(item[1]));
+            return;
+        }
+
+        const entry = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+        if (!entry) throw new Error(`Content: ${path}: cannot read front matter line "${line}"`);
+        const [, key, value] = entry;
+        listKey = value.trim() === '' ? key : null;
+        data[key] = listKey ? [] : parseValue(value);
+    });
+
+    return { data, body: source.slice(match[0].length) };
+}
+
+// --- Markdown ---
+// Paragraphs, - / 1. lists, ## headings, ``` code blocks and inline code,
+// **bold**, *emphasis* and [links](url). Text is escaped, so topics can't
+// inject markup.
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function renderInline(text) {
+    // Code spans first, so their contents are left alone
+    return text.split(/(`[^`]+`)/).map(part => {
+        if (/^`[^`]+`$/.test(part)) return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+        return escapeHtml(part)
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*(.+?)\*/g, '<em>$1</em>')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (all, label, href) =>
+                /^(https?:|\/|#)/.test(href) ? `<a href="${href}">${label}</a>` : label);
+    }).join('');
+}
+
+export function renderMarkdown(markdown) {
+    const html = [];
+    const blocks = ('\n' + markdown.replace(/\r\n/g, '\n').trim()).split(/\n```/);
+
+    // Odd pieces sit between ``` fences
+    blocks.forEach((piece, index) => {
+        if (index % 2 === 1) {
+            const code = piece.replace(/^[^\n]*\n/, ''); // Drop the info string
+            html.push(`<pre><code>${escapeHtml(code.replace(/\n$/, ''))}</code></pre>`);
+            return;
+        }
+
+        piece.split(/\n\s*\n/).forEach(block => {
+            const lines = block.trim().split('\n').map(line => line.trim());
+            if (!lines[0]) return;
+
+            const heading = lines[0].match(/^(#{1,4})\s+(.*)$/);
+            if (heading && lines.length === 1) {
+                const level = Math.max(3, heading[1].length + 1); // The topic title is the h2
+                html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            } else if (lines.every(line => /^[-*]\s+/.test(line))) {
+                html.push(`<ul>${lines.map(line => `<li>${renderInline(line.replace(/^[-*]\s+/, ''))}</li>`).join('')}</ul>`);
+            } else if (lines.every(line => /^\d+\.\s+/.test(line))) {
+                html.push(`<ol>${lines.map(line => `<li>${renderInline(line.replace(/^\d+\.\s+/, ''))}</li>`).join('')}</ol>`);
+            } else {
+                html.push(`<p>${renderInline(lines.join(' '))}</p>`);
+            }
+        });
+    });
+
+    return html.join('\n');
+}
+
+// --- Topics ---
+function readTopic(path, source) {
+    const { data, body } = parseFrontMatter(source, path);
+    const id = path.split('/').pop().replace(/\.md$/, '');
+
+    ['title', 'summary', 'category'].forEach(key => {
+        if (typeof data[key] !== 'string' || !data[key]) {
+            throw new Error(`Content: ${path} needs a "${key}"`);
+        }
+    });
+    if (data.related !== undefined && !Array.isArray(data.related)) {
+        throw new Error(`Content: ${path}: "related" must be a list of topic ids`);
+    }
+
+    return {
+        id,
+        title: data.title,
+        cardTitle: data.cardTitle || data.title,
+        summary: data.summary,
+        category: data.category,
+        action: data.action || 'Read More',
+        related: (data.related || []).map(String),
+        order: typeof data.order === 'number' ? data.order : Infinity,
+        html: renderMarkdown(body)
+    };
+}
+
+// A broken topic file is skipped, so the other topics still render
+export const topics = Object.entries(files)
+    .flatMap(([path, source]) => {
+        try {
+            return [readTopic(path, source)];
+        } catch (e) {
+            console.warn(`Content: skipping ${path}`, e);
+            return [];
+        }
+    })
+    .sort((a, b) => a.order - b.order || a.title.localeCompare(b.title));
+
+// [{ category, topics }] in order of each category's first topic
+export function topicsByCategory() {
+    const groups = new Map();
+    topics.forEach(topic => {
+        if (!groups.has(topic.category)) groups.set(topic.category, []);
+        groups.get(topic.category).push(topic);
+    });
+    return Array.from(groups, ([category, list]) => ({ category, topics: list }));
+}
@@ -1,5 +1,11 @@
 import '../style.css'
 import { initDetailsScene } from './details-scene.js'
+import { applyUrlTheme } from './theme-service.js'
+import { initThemeSwitcher } from './theme-switcher.js'
+import { initMotionToggle } from './motion-toggle.js'
+import { readUrlSeed } from './random.js'
+import { initSeedControl } from './seed-control.js'
+import { topics } from './content.js'
 
 // Loader Handler
 // Loader Handler - Robust Check
@@ -24,62 +30,118 @@ if (document.readyState === 'complete') {
 // Fallback: Force remove loader after 3 seconds if load event hangs
 setTimeout(removeLoader, 3000);
 
-// Theme Switcher Logic (Shared with main page)
-// Theme Logic
-const savedTheme = localStorage.getItem('theme');
-console.log("[DEBUG DETAILS] Initial Load - raw localStorage:", savedTheme);
-let initialTheme = null;
-
-if (savedTheme) {
-    try {
-        initialTheme = JSON.parse(savedTheme);
-        // 1. Pre-apply CSS Variables immediately (prevents Flash of Default Color)
-        document.documentElement.style.setProperty('--color-primary', initialTheme.color);
-        document.documentElement.style.setProperty('--color-bg', initialTheme.bg);
-        document.documentElement.style.setProperty('--glass-border', `${initialTheme.color}33`);
-    } catch (e) {
-        console.error('Error parsing theme', e);
-    }
+// --- Topic Sections ---
+// The scene builds one node per .detail-section, so the sections are rendered
+// from the content manifest (see content.js) before it starts
+function renderTopicSections(container) {
+    topics.forEach(topic => {
+        const section = document.createElement('section');
+        section.className = 'detail-section';
+        section.id = topic.id;
+        if (topic.related.length) section.dataset.related = topic.related.join(' ');
+
+        const title = document.createElement('h2');
+        title.textContent = topic.title;
+        const category = document.createElement('p');
+        category.className = 'detail-category';
+        category.textContent = topic.category;
+
+        section.append(title, category);
+        section.insertAdjacentHTML('beforeend', topic.html); // Escaped by renderMarkdown
+        container.appendChild(section);
+    });
 }
 
-// 2. Initialize Scene with Theme Data
-initDetailsScene('canvas-container', initialTheme);
+const detailContent = document.getElementById('detail-content');
+if (detailContent) renderTopicSections(detailContent);
 
-function applyTheme(color, bg) {
-    // 1. Update CSS Variables
-    document.documentElement.style.setProperty('--color-primary', color);
-    document.documentElement.style.setProperty('--color-bg', bg);
-    document.documentElement.style.setProperty('--glass-border', `${color}33`);
+// --- Deep Links ---
+// details.html#bloom-shader (or ?node=bloom-shader) targets that section's
+// node. The gate shows and keeps the target until it unlocks; then the camera
+// flies to the node and opens its reading pane. Opening and closing panes
+// pushes history entries (#section-id / no hash), so back and forward work.
+function readNodeTarget() {
+    const query = new URLSearchParams(location.search).get('node');
+    if (query) return query;
 
-    // 2. Dispatch Event for Three.js
-    // We delay slightly to ensure the scene listener is fully ready if it wasn't already
-    setTimeout(() => {
-        const event = new CustomEvent('theme-change', {
-            detail: { color, bg }
-        });
-        window.dispatchEvent(event);
-    }, 100);
+    // The hash may also carry theme=... (see theme-service.js), ids have no value
+    const entry = Array.from(new URLSearchParams(location.hash.slice(1))).find(([, value]) => value === '');
+    return entry ? entry[0] : null;
+}
+
+function nodeUrl(sectionId) {
+    const url = new URL(location.href);
+    url.searchParams.delete('node');
+    url.hash = sectionId || '';
+    return url.href;
+}
+
+const lockTarget = document.getElementById('lock-target');
+
+function showGateTarget(sectionId) {
+    if (!lockTarget) return;
+    const section = sectionId && document.getElementById(sectionId);
+    const title = section && section.querySelector('h2');
+    lockTarget.textContent = title ? `Target: ${title.textContent.trim()}` : '';
 }
 
-// Apply saved theme on start
-if (savedTheme) {
-    try {
-        const { color, bg } = JSON.parse(savedTheme);
-        applyTheme(color, bg);
-    } catch (e) {
-        console.error('Error loading theme', e);
+let isUnlocked = false;
+let pendingTarget = readNodeTarget();
+showGateTarget(pendingTarget);
+
+// The scene's keyboard navigation lives in the canvas container; keep it out of
+// the tab order while the gate covers it
+const canvasContainer = document.getElementById('canvas-container');
+if (canvasContainer) canvasContainer.inert = true;
+
+// Scene and switcher both follow the theme through theme-service.js; a shared
+// ?theme= / #theme= link is applied first so the scene starts in it. A ?seed=
+// link reproduces a layout (see random.js)
+applyUrlTheme();
+const scene = initDetailsScene('canvas-container', undefined, {
+    seed: readUrlSeed(),
+    onSelect(sectionId) {
+        history.pushState({ node: sectionId }, '', nodeUrl(sectionId));
+    }
+});
+
+function goToNode(sectionId) {
+    if (!scene) return;
+    if (!sectionId) {
+        scene.closeNode();
+    } else if (!scene.openNode(sectionId, { fly: true })) {
+        console.warn(`Details: no node for "${sectionId}"`);
     }
 }
 
-// Theme Switcher Logic
-document.querySelectorAll('.theme-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-        const color = btn.getAttribute('data-color');
-        const bg = btn.getAttribute('data-bg');
+function onGateUnlock() {
+    isUnlocked = true;
+    if (canvasContainer) canvasContainer.inert = false;
+    if (pendingTarget) goToNode(pendingTarget);
+    pendingTarget = null;
+}
 
-        // Save preference
-        localStorage.setItem('theme', JSON.stringify({ color, bg }));
+// The gate script in details.html fires 'gate-unlock' once; this module may
+// load after that, so an already open gate (or none) unlocks right away
+const gateOverlay = document.getElementById('gate-overlay');
+if (!gateOverlay || gateOverlay.classList.contains('unlocked')) {
+    onGateUnlock();
+} else {
+    document.addEventListener('gate-unlock', onGateUnlock, { once: true });
+}
 
-        applyTheme(color, bg);
-    });
+// Also fires for hand-edited hashes
+window.addEventListener('popstate', () => {
+    const target = readNodeTarget();
+    if (isUnlocked) {
+        goToNode(target);
+    } else {
+        pendingTarget = target;
+        showGateTarget(target);
+    }
 });
+
+// Theme Switcher Logic
+initThemeSwitcher();
+initMotionToggle();
+initSeedControl(scene);
@@ -1,37 +1,126 @@
 import * as THREE from 'three';
-import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-import { FontLoader } from 'three/addons/loaders/FontLoader.js';
-import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
-
-export function initDetailsScene(containerId, initialTheme) {
+import {
+    createListenerRegistry,
+    createSceneController,
+    disposeObject,
+    disposeRenderer
+} from './scene-lifecycle.js';
+import { createSelectiveBloom } from './selective-bloom.js';
+import { bloomParamsFor, derivePalette, getTheme, resolveVisuals, subscribeTheme } from './theme-service.js';
+import { createPicker } from './picking.js';
+import { createLabelAtlas } from './label-atlas.js';
+import { generateBoxVolume } from './geometry-service.js';
+import { createRandom, deriveSeed, resolveSeed, seedControls } from './random.js';
+import { createNodeForces } from './node-forces.js';
+import { createOrbitCamera } from './orbit-camera.js';
+import { applyRenderQuality, createQualityManager } from './quality-manager.js';
+import { damp, dampQuaternion } from './smoothing.js';
+import { isMotionReduced, subscribeMotion } from './motion-policy.js';
+
+// `initialTheme` ({ color, bg }) is optional: the scene starts from and follows
+// the theme service (see theme-service.js). The theme's 'details' visuals
+// scale bloom, fog, starfield size and opacity, and exposure.
+// `options.idleThreshold` sets how long (ms) the scene keeps rendering at full
+// frame rate after the last input or animation before its render loop slows
+// to the ambient rate or, with nothing moving, goes to sleep.
+// `options.pickInterval` sets how often (ms) hover picking runs (see picking.js).
+// `options.quality` pins a quality tier by name ('low' ... 'ultra'); otherwise
+// the tier adapts to frame times (see quality-manager.js).
+// With reduced motion (see motion-policy.js) node drift and spin slow to a
+// crawl, the sway and starfield rotation stop and camera flights jump; the
+// render loop may then go to sleep, which also stops the remaining drift.
+// Otherwise drift, sway, the starfield and link pulses keep the loop running,
+// at a lower frame rate once it is idle (see render-scheduler.js).
+// Dragging orbits the camera, right or shift dragging (two fingers) pans and
+// the wheel (pinch) zooms, all eased (see orbit-camera.js). Tapping a crystal
+// flies the camera in to frame it and opens its reading pane on arrival;
+// closing the pane flies back to the overview.
+// Sections list related sections by id in `data-related` (space or comma
+// separated, either side of a pair is enough). Related nodes are joined by
+// animated lines and pulled toward each other so topics cluster; while a node
+// is open its neighbours are highlighted and the rest dimmed.
+// `options.onSelect(sectionId | null)` is called when the user opens or closes
+// a node's reading pane (not for openNode() / closeNode() calls).
+// The returned controller also exposes `openNode(sectionId, { fly })`, which
+// selects the node for a `.detail-section` id (flying the camera to it first
+// if `fly` is set) and returns false if there is none, `closeNode()` and
+// `activeNode` (the open section id or null).
+// `options.seed` (number or string) reproduces the starfield and the nodes'
+// starting positions, drift and spin (see random.js); the controller exposes
+// `seed`, `isSeedLocked`, `lockSeed()` and `unlockSeed()`.
+// Keyboard and screen-reader users reach the nodes through a visually hidden
+// list of buttons inside the container: Tab or the arrow keys move a focus
+// ring between crystals, Enter opens the reading pane (a modal dialog that
+// keeps focus until it closes) and Escape closes it.
+export function initDetailsScene(containerId, initialTheme, options = {}) {
     const container = document.getElementById(containerId);
     if (!container) return;
 
+    const listeners = createListenerRegistry();
+
     // --- Configuration ---
-    // Fallback
-    if (!initialTheme) {
-        try {
-            const saved = localStorage.getItem('theme');
-            if (saved) initialTheme = JSON.parse(saved);
-        } catch (e) { }
-    }
+    // Colors come from the theme service unless the caller passes a theme
+    const theme = initialTheme || getTheme();
+    const primaryC = new THREE.Color(theme.color);
+    const bgC = new THREE.Color(theme.bg);
 
-    // Use saved theme for initial colors if available
-    const primaryC = initialTheme ? new THREE.Color(initialTheme.color) : new THREE.Color(0x00ffff);
-    const bgC = initialTheme ? new THREE.Color(initialTheme.bg) : new THREE.Color(0x02020a);
+    // Separate streams, so adding a section doesn't reshuffle the starfield
+    const seed = resolveSeed('details', options.seed);
+    const layoutRandom = createRandom(seed);
+    const seeds = { stars: deriveSeed(layoutRandom), nodes: deriveSeed(layoutRandom) };
 
     const CONFIG = {
         bgColor: bgC.getHex(),
-        particleColor: primaryC.clone().offsetHSL(0, 0, 0.2).getHex(),
+        particleColor: new THREE.Color(derivePalette(theme).particle).getHex(),
         nodeColor: primaryC.getHex(),
-        hoverColor: 0xff0055
+        hoverColor: 0xff0055,
+        // Selective bloom groups, see selective-bloom.js. Labels never bloom.
+        bloom: {
+            crystals: { strength: 0.8, radius: 0.3, threshold: 0 },
+            stars: { strength: 0.4, radius: 0.2, threshold: 0 }
+        },
+        fogDensity: 0.02,
+        particles: { size: 0.15, opacity: 0.4 },
+        // Nodes spawn and drift inside `bounds`, `spacing` apart (wide enough for
+        // the labels). Beyond `comfortableCount` nodes the box and the overview
+        // distance grow with the cube root of the count, keeping the density.
+        layout: {
+            bounds: { min: [-14, -7, -10], max: [14, 7, 5] },
+            spacing: 9,
+            candidates: 12,
+            comfortableCount: 8
+        },
+        // Repulsion, soft bounds and speed limits, see node-forces.js
+        forces: {
+            repulsion: 3.6,
+            linkLength: 11,
+            linkStiffness: 0.12,
+            boundsStiffness: 0.6,
+            cruiseSpeed: 0.08,
+            drag: 1.5,
+            maxSpeed: 1.2
+        },
+        // Relationship lines: pulses travel along them at `flowSpeed` (lengths per
+        // second); label and crystal opacity at rest, next to the open node and
+        // unrelated to it
+        links: { opacity: 0.35, flowSpeed: 0.3 },
+        emphasis: { rest: [0.9, 0.5], neighbor: [1, 0.9], other: [0.35, 0.2] },
+        // Flights frame the crystal and its label (`frameSize` [width, height])
+        // from slightly above, at least `flyDistance` away
+        camera: { flyDirection: [0, 1, 9], flyDistance: 9, frameSize: [9, 5] },
+        // Rates are per second, see smoothing.js
+        motion: {
+            fadeSmoothing: 6,   // Crystal and label opacity changes
+            focusSmoothing: 6,  // A selected node turning to face the camera
+            orbitSmoothing: 8,  // Camera easing after orbit, pan and zoom input
+            flySmoothing: 2.5,  // Camera flights to a node and back to the overview
+            reducedDrift: 0.1   // Share of node drift and spin kept with reduced motion
+        }
     };
 
     // --- Scene & Camera ---
     const scene = new THREE.Scene();
-    scene.fog = new THREE.FogExp2(CONFIG.bgColor, 0.02);
+    scene.fog = new THREE.FogExp2(CONFIG.bgColor, CONFIG.fogDensity);
 
     const camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 100);
     camera.position.set(0, 0, 20);
@@ -41,114 +130,88 @@ export function initDetailsScene(containerId, initialTheme) {
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
     container.appendChild(renderer.domElement);
 
-    // --- Post Processing ---
-    const renderScene = new RenderPass(scene, camera);
-    const bloomPass = new UnrealBloomPass(
-        new THREE.Vector2(window.innerWidth, window.innerHeight),
-        1.5, 0.4, 0.85
-    );
-    bloomPass.threshold = 0.8; // Only very bright things glow
-    bloomPass.strength = 0.3;  // Much cleaner, subtle glow
-    bloomPass.radius = 0.2;    // Tighter glow
-
-    const composer = new EffectComposer(renderer);
-    composer.addPass(renderScene);
-    composer.addPass(bloomPass);
+    // --- Post Processing (Selective Bloom) ---
+    const bloom = createSelectiveBloom(renderer, scene, camera, CONFIG.bloom);
 
     // --- Background Particles (Starfield) ---
+    // Positions arrive from the geometry worker; until then the field draws nothing
     const particlesGeo = new THREE.BufferGeometry();
     const particleCount = 2000;
-    const posArray = new Float32Array(particleCount * 3);
-    const scaleArray = new Float32Array(particleCount);
-
-    for (let i = 0; i < particleCount * 3; i += 3) {
-        posArray[i] = (Math.random() - 0.5) * 80; // Spread out more
-        posArray[i + 1] = (Math.random() - 0.5) * 60;
-        posArray[i + 2] = (Math.random() - 0.5) * 60;
-        scaleArray[i / 3] = Math.random();
-    }
 
-    particlesGeo.setAttribute('position', new THREE.BufferAttribute(posArray, 3));
-    particlesGeo.setAttribute('aScale', new THREE.BufferAttribute(scaleArray, 1));
+    generateBoxVolume({ count: particleCount, size: [80, 60, 60], seed: seeds.stars })
+        .then(({ positions, randoms }) => {
+            if (controller.isDisposed) return;
+            particlesGeo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            particlesGeo.setAttribute('aScale', new THREE.BufferAttribute(randoms, 1));
+            particlesGeo.computeBoundingSphere();
+            controller.invalidate();
+        })
+        .catch(e => console.error('Details scene: could not generate starfield', e));
 
     const particlesMat = new THREE.PointsMaterial({
-        size: 0.15,
+        size: CONFIG.particles.size,
         color: CONFIG.particleColor,
         transparent: true,
-        opacity: 0.4,
+        opacity: CONFIG.particles.opacity,
         blending: THREE.AdditiveBlending
     });
 
     const starField = new THREE.Points(particlesGeo, particlesMat);
+    bloom.add(starField, 'stars');
     scene.add(starField);
 
+    // --- Adaptive Quality ---
+    const quality = createQualityManager({
+        pinned: options.quality,
+        apply(tier) {
+            applyRenderQuality(renderer, bloom, tier);
+            particlesGeo.setDrawRange(0, Math.floor(particleCount * tier.particleFraction));
+        }
+    });
+
+    // --- Theme Visuals ---
+    function applyVisuals(visuals) {
+        const bloomParams = bloomParamsFor(CONFIG.bloom, visuals);
+        Object.entries(bloomParams).forEach(([name, params]) => bloom.setParams(name, params));
+        bloom.setExposure(visuals.exposure);
+        scene.fog.density = CONFIG.fogDensity * visuals.fogDensity;
+        particlesMat.size = CONFIG.particles.size * visuals.particleSize;
+        particlesMat.opacity = CONFIG.particles.opacity * visuals.particleOpacity;
+    }
+    applyVisuals(resolveVisuals(theme, 'details'));
+
     // --- Floating Document Nodes ---
     const nodesGroup = new THREE.Group();
     scene.add(nodesGroup);
 
-    // Raycaster
-    const raycaster = new THREE.Raycaster();
-    const mouse = new THREE.Vector2();
+    // Picking: crystals use their bounding sphere, labels a quad the size of the
+    // pill that turns to face the camera like the label itself
+    const picker = createPicker(camera, { interval: options.pickInterval });
+    const labelProxyGeo = new THREE.PlaneGeometry(0.95, 0.7);
 
     const sections = Array.from(document.querySelectorAll('.detail-section'));
     sections.forEach(sec => sec.style.display = 'none');
 
-    const interactables = []; // Objects to raycast against
+    const crowding = Math.max(1, Math.cbrt(sections.length / CONFIG.layout.comfortableCount));
+    const bounds = {
+        min: CONFIG.layout.bounds.min.map(v => v * crowding),
+        max: CONFIG.layout.bounds.max.map(v => v * crowding)
+    };
+    camera.position.multiplyScalar(crowding);
+    camera.far *= crowding;
+    camera.updateProjectionMatrix();
+
+    const forces = createNodeForces({ ...CONFIG.forces, spacing: CONFIG.layout.spacing, bounds });
+    const bodies = []; // One per node: { position, velocity, fixed } for the force step
+
     const nodes = []; // The groups themselves
 
-    // Helper to create text texture
-    function createLabel(text) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = 1024; // Higher resolution
-        canvas.height = 256;
-
-        // Background Pill - Darker and more opaque
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
-        const r = 40;
-        // Make the pill tighter around the text if we shrink font
-        // Using mostly full canvas width for high res, but sprite scale will shrink it
-        const x = 20, y = 40, w = canvas.width - 40, h = canvas.height - 80;
-        ctx.beginPath();
-        ctx.roundRect(x, y, w, h, r);
-        ctx.fill();
-
-        // Border - Thinner
-        ctx.strokeStyle = '#00ffff';
-        ctx.lineWidth = 2; // Thinner border
-        ctx.stroke();
-
-        // Text
-        ctx.font = '700 55px Orbitron, sans-serif';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-
-        // No stroke on text, just clean white
-        ctx.fillStyle = '#ffffff';
-        ctx.shadowColor = 'rgba(0,0,0,0)';
-        ctx.shadowBlur = 0;
-
-        // Constrain text to fit inside the 1024px canvas with padding
-        // This ensures the textbox appears "same for everyone" (uniform container)
-        // while prevents text from bursting out.
-        const maxWidth = canvas.width - 120;
-        ctx.fillText(text.toUpperCase(), canvas.width / 2, canvas.height / 2, maxWidth);
-
-        const texture = new THREE.CanvasTexture(canvas);
-        // Anisotropy for sharper angled viewing
-        texture.anisotropy = renderer.capabilities.getMaxAnisotropy();
-
-        // Material - Use tone mapping if possible, or just lower opacity to avoid blowout
-        const material = new THREE.SpriteMaterial({
-            map: texture,
-            transparent: true,
-            opacity: 0.9,
-            blending: THREE.NormalBlending // Normal blending avoids additive burnout
-        });
-        const sprite = new THREE.Sprite(material);
-        sprite.scale.set(7, 1.75, 1); // Significantly smaller world scale (was 12, 3)
-        return sprite;
-    }
+    // Labels share one canvas texture, redrawn when the theme color changes
+    const labels = createLabelAtlas(renderer, {
+        color: '#' + new THREE.Color(CONFIG.nodeColor).getHexString(),
+        capacity: sections.length,
+        onChange: () => controller.invalidate()
+    });
 
     // Geometry for the data crystals
     const crystalGeo = new THREE.IcosahedronGeometry(1.0, 0); // Slightly bigger crystal
@@ -161,7 +224,153 @@ export function initDetailsScene(containerId, initialTheme) {
     const crystalCoreGeo = new THREE.IcosahedronGeometry(0.4, 0);
     const crystalCoreMat = new THREE.MeshBasicMaterial({ color: 0xffffff });
 
-    sections.forEach((section, index) => {
+    const random = createRandom(seeds.nodes);
+
+    // --- Accessible Navigation ---
+    // One button per node, in section order; focus drives the 3D focus ring
+    const VISUALLY_HIDDEN = {
+        position: 'absolute',
+        width: '1px',
+        height: '1px',
+        margin: '-1px',
+        padding: '0',
+        overflow: 'hidden',
+        clip: 'rect(0 0 0 0)',
+        whiteSpace: 'nowrap',
+        border: '0'
+    };
+
+    const nodeNav = document.createElement('nav');
+    nodeNav.setAttribute('aria-label', 'Knowledge nodes');
+    nodeNav.innerHTML = '<p>Use Tab or the arrow keys to move between nodes, Enter to open one and Escape to close it.</p>';
+    Object.assign(nodeNav.style, VISUALLY_HIDDEN);
+    container.appendChild(nodeNav);
+
+    const announcer = document.createElement('div');
+    announcer.setAttribute('role', 'status');
+    announcer.setAttribute('aria-live', 'polite');
+    Object.assign(announcer.style, VISUALLY_HIDDEN);
+    container.appendChild(announcer);
+
+    function announce(message) {
+        // Cleared first so repeating the same message is still read out
+        announcer.textContent = '';
+        requestAnimationFrame(() => announcer.textContent = message);
+    }
+
+    function addNavButton(group) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = group.userData.titleText;
+        button.setAttribute('aria-haspopup', 'dialog');
+        button.setAttribute('aria-controls', 'reading-pane');
+        nodeNav.appendChild(button);
+        group.userData.navButton = button;
+    }
+
+    const focusRing = new THREE.Mesh(
+        new THREE.RingGeometry(1.5, 1.65, 48),
+        new THREE.MeshBasicMaterial({
+            color: CONFIG.nodeColor,
+            transparent: true,
+            opacity: 0.9,
+            side: THREE.DoubleSide,
+            depthTest: false // Never hidden behind a neighbouring crystal
+        })
+    );
+    focusRing.visible = false;
+    bloom.add(focusRing, 'crystals');
+    scene.add(focusRing);
+
+    let focusedNode = null;
+
+    function nodeForButton(button) {
+        return nodes.find(node => node.userData.navButton === button) || null;
+    }
+
+    // The nearest node on screen in direction (dx, dy), favouring ones straight ahead
+    function nodeInDirection(from, dx, dy) {
+        const origin = from.position.clone().project(camera);
+        const point = new THREE.Vector3();
+        let best = null;
+        let bestScore = Infinity;
+
+        nodes.forEach(node => {
+            if (node === from) return;
+            point.copy(node.position).project(camera);
+            const x = (point.x - origin.x) * camera.aspect;
+            const y = point.y - origin.y;
+            const along = x * dx + y * dy;
+            if (along <= 0) return;
+
+            const score = along + Math.abs(x * dy - y * dx) * 2;
+            if (score < bestScore) {
+                best = node;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    const ARROW_DIRECTIONS = {
+        ArrowRight: [1, 0],
+        ArrowLeft: [-1, 0],
+        ArrowUp: [0, 1],
+        ArrowDown: [0, -1]
+    };
+
+    listeners.on(nodeNav, 'focusin', (e) => {
+        focusedNode = nodeForButton(e.target);
+        controller.invalidate();
+    });
+    listeners.on(nodeNav, 'focusout', (e) => {
+        if (nodeNav.contains(e.relatedTarget)) return;
+        focusedNode = null;
+        controller.invalidate();
+    });
+    listeners.on(nodeNav, 'keydown', (e) => {
+        if (!focusedNode) return;
+        let next = null;
+        if (ARROW_DIRECTIONS[e.key]) next = nodeInDirection(focusedNode, ...ARROW_DIRECTIONS[e.key]);
+        else if (e.key === 'Home') next = nodes[0];
+        else if (e.key === 'End') next = nodes[nodes.length - 1];
+        else return;
+
+        e.preventDefault();
+        if (next) next.userData.navButton.focus();
+    });
+    // Buttons click on Enter and Space
+    listeners.on(nodeNav, 'click', (e) => {
+        const group = nodeForButton(e.target);
+        if (!group || group === activeNodeGroup) return;
+        openNode(group.userData.originalSectionId, { fly: true });
+        onSelect(group.userData.originalSectionId);
+    });
+
+    // Best-candidate sampling: each node tries a few random spots and takes the
+    // first one clear of the others (or else the one with the most room)
+    function spawnPosition() {
+        const { spacing, candidates } = CONFIG.layout;
+        const best = new THREE.Vector3();
+        let bestRoom = -1;
+
+        for (let i = 0; i < candidates; i++) {
+            const candidate = new THREE.Vector3(
+                THREE.MathUtils.lerp(bounds.min[0], bounds.max[0], random()),
+                THREE.MathUtils.lerp(bounds.min[1], bounds.max[1], random()),
+                THREE.MathUtils.lerp(bounds.min[2], bounds.max[2], random())
+            );
+            const room = nodes.reduce((min, node) => Math.min(min, node.position.distanceTo(candidate)), Infinity);
+            if (room > bestRoom) {
+                best.copy(candidate);
+                bestRoom = room;
+            }
+            if (room >= spacing) break;
+        }
+        return best;
+    }
+
+    sections.forEach(section => {
         const title = section.querySelector('h2').innerText;
 
         // Group container
@@ -171,51 +380,154 @@ export function initDetailsScene(containerId, initialTheme) {
         const crystal = new THREE.Mesh(crystalGeo, crystalMat.clone());
         const core = new THREE.Mesh(crystalCoreGeo, crystalCoreMat);
         crystal.add(core);
+        bloom.add(crystal, 'crystals');
         group.add(crystal);
 
-        // 2. The Label - Use current theme color
-        const themeColorHex = '#' + new THREE.Color(CONFIG.nodeColor).getHexString();
-        // We reuse the createLabelTheme logic but defined below.
-        // NOTE: createLabel was the old function. verify if createLabelTheme is hoisting or available.
-        // It is defined at bottom of scope in previous turns.
-        // Better to just call createLabelTheme.
-        const sprite = createLabelTheme(title, themeColorHex);
+        // 2. The Label, drawn into the shared label atlas
+        const sprite = labels.createSprite(title);
+        sprite.scale.set(7, 1.75, 1);
         // Label sits lower or higher? Let's put it next to it or slightly above
         sprite.position.set(0, 2.0, 0);
         group.add(sprite);
 
-        // Random position spread
-        group.position.set(
-            (Math.random() - 0.5) * 40,
-            (Math.random() - 0.5) * 25,
-            (Math.random() - 0.5) * 20
-        );
+        group.position.copy(spawnPosition());
 
         // Slower Velocity
         group.userData = {
             velocity: new THREE.Vector3(
-                (Math.random() - 0.5) * 0.0015, // Extremely slow drift
-                (Math.random() - 0.5) * 0.0015,
-                (Math.random() - 0.5) * 0.0015
+                (random() - 0.5) * 0.09, // Extremely slow drift (units/s)
+                (random() - 0.5) * 0.09,
+                (random() - 0.5) * 0.09
             ),
-            rotationSpeed: (Math.random() - 0.5) * 0.01 + 0.002, // Minimum rotation
+            rotationSpeed: (random() - 0.5) * 0.6 + 0.12, // rad/s, biased so it always turns
             originalSectionId: section.id,
-            titleText: title, // Save for theme updates
+            titleText: title,
             isFrozen: false,
             crystalMesh: crystal
         };
 
         nodesGroup.add(group);
         nodes.push(group);
-        interactables.push(crystal, sprite); // Check hits on both
+        bodies.push({
+            position: group.position,
+            velocity: group.userData.velocity,
+            get fixed() { return group.userData.isFrozen; }
+        });
+        addNavButton(group);
+        // Both report the node group, so moving from crystal to label is not a leave
+        const hover = {
+            target: group,
+            onEnter() { document.body.style.cursor = 'pointer'; },
+            onLeave() { document.body.style.cursor = 'default'; }
+        };
+        picker.add(crystal, hover);
+        picker.add(sprite, { ...hover, proxy: new THREE.Mesh(labelProxyGeo), billboard: true });
+    });
+
+    // --- Relationships ---
+    // Undirected [i, j] index pairs into `nodes` (and `bodies`), from data-related
+    function readLinks() {
+        const indexById = new Map(sections.map((section, index) => [section.id, index]));
+        const seen = new Set();
+        const pairs = [];
+
+        sections.forEach((section, i) => {
+            (section.dataset.related || '').split(/[\s,]+/).filter(Boolean).forEach(id => {
+                const j = indexById.get(id);
+                if (j === undefined) {
+                    console.warn(`Details scene: "${section.id}" is related to unknown section "${id}"`);
+                    return;
+                }
+                const key = Math.min(i, j) + ':' + Math.max(i, j);
+                if (i === j || seen.has(key)) return;
+                seen.add(key);
+                pairs.push([i, j]);
+            });
+        });
+        return pairs;
+    }
+
+    const links = readLinks();
+
+    nodes.forEach(group => group.userData.neighbors = []);
+    links.forEach(([i, j]) => {
+        nodes[i].userData.neighbors.push(nodes[j]);
+        nodes[j].userData.neighbors.push(nodes[i]);
+    });
+
+    // One line segment per link; endpoints follow the nodes every frame.
+    // `aProgress` runs 0 -> 1 along each segment for the traveling pulse.
+    const linkGeo = new THREE.BufferGeometry();
+    linkGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(links.length * 6), 3));
+    linkGeo.setAttribute('aProgress', new THREE.BufferAttribute(
+        new Float32Array(links.length * 2).map((v, i) => i % 2), 1));
+    linkGeo.setAttribute('aHighlight', new THREE.BufferAttribute(new Float32Array(links.length * 2), 1));
+
+    const linkMat = new THREE.ShaderMaterial({
+        uniforms: {
+            uColor: { value: new THREE.Color(CONFIG.nodeColor) },
+            uTime: { value: 0 },
+            uOpacity: { value: CONFIG.links.opacity },
+            uFocus: { value: 0 } // 1 while a node is open: unrelated lines dim
+        },
+        vertexShader: `
+            attribute float aProgress;
+            attribute float aHighlight;
+            varying float vProgress;
+            varying float vHighlight;
+
+            void main() {
+                vProgress = aProgress;
+                vHighlight = aHighlight;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform vec3 uColor;
+            uniform float uTime;
+            uniform float uOpacity;
+            uniform float uFocus;
+            varying float vProgress;
+            varying float vHighlight;
+
+            void main() {
+                // Two soft pulses per line, flowing from the first node to the second
+                float pulse = smoothstep(0.7, 1.0, fract(vProgress * 2.0 - uTime));
+                float emphasis = mix(1.0 - 0.7 * uFocus, 2.0, vHighlight);
+                gl_FragColor = vec4(uColor, uOpacity * emphasis * (0.4 + 0.6 * pulse));
+            }
+        `,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
     });
 
+    const linkLines = new THREE.LineSegments(linkGeo, linkMat);
+    linkLines.frustumCulled = false; // Endpoints move every frame
+    bloom.add(linkLines, 'crystals');
+    scene.add(linkLines);
+
+    function updateLinks() {
+        const positions = linkGeo.attributes.position.array;
+        const highlight = linkGeo.attributes.aHighlight.array;
+
+        links.forEach(([i, j], k) => {
+            nodes[i].position.toArray(positions, k * 6);
+            nodes[j].position.toArray(positions, k * 6 + 3);
+            const touchesOpen = activeNodeGroup !== null && (nodes[i] === activeNodeGroup || nodes[j] === activeNodeGroup);
+            highlight[k * 2] = highlight[k * 2 + 1] = touchesOpen ? 1 : 0;
+        });
+        linkGeo.attributes.position.needsUpdate = true;
+        linkGeo.attributes.aHighlight.needsUpdate = true;
+    }
 
     // --- Interaction Logic ---
     let activeNodeGroup = null;
+    const onSelect = options.onSelect || (() => {});
 
     // Create a centralized reading pane (HTML overlay) if it doesn't exist
     let readingPane = document.getElementById('reading-pane');
+    const ownsReadingPane = !readingPane;
     if (!readingPane) {
         readingPane = document.createElement('div');
         readingPane.id = 'reading-pane';
@@ -246,7 +558,7 @@ export function initDetailsScene(containerId, initialTheme) {
 
         // Add minimal hint text
         const hint = document.createElement('div');
-        hint.innerText = '[ CLICK OUTSIDE TO CLOSE ]';
+        hint.innerText = '[ CLICK OUTSIDE OR PRESS ESC TO CLOSE ]';
         Object.assign(hint.style, {
             textAlign: 'center',
             marginTop: '2rem',
@@ -262,103 +574,213 @@ export function initDetailsScene(containerId, initialTheme) {
         document.body.appendChild(readingPane);
     }
 
+    // Modal dialog semantics; inert while closed so its content can't be reached
+    readingPane.setAttribute('role', 'dialog');
+    readingPane.setAttribute('aria-modal', 'true');
+    readingPane.setAttribute('aria-labelledby', 'reading-title');
+    readingPane.tabIndex = -1;
+    readingPane.inert = true;
+    readingPane.style.outline = 'none';
+
+    let paneOpen = false;
+    let returnFocus = null; // Where focus goes back to when the pane closes
+
+    const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select, textarea, [tabindex]:not([tabindex="-1"])';
+
+    // Focus trap: Tab and Shift+Tab cycle through the pane's own controls
+    listeners.on(readingPane, 'keydown', (e) => {
+        if (e.key !== 'Tab') return;
+        const focusable = Array.from(readingPane.querySelectorAll(FOCUSABLE));
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        if (e.shiftKey && (active === first || active === readingPane)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    });
+    // Focus that escapes some other way (e.g. a screen reader's virtual cursor) is pulled back
+    listeners.on(document, 'focusin', (e) => {
+        if (paneOpen && !readingPane.contains(e.target)) readingPane.focus({ preventScroll: true });
+    });
+
+    // --- Camera Navigation ---
+    // Orbit, pan and zoom around the cloud. Opening a node flies in to frame
+    // it and the pane opens once the camera arrives; closing flies back out.
+    const overview = {
+        target: new THREE.Vector3(),
+        distance: camera.position.length(),
+        direction: camera.position.clone().normalize()
+    };
+    const flyDirection = new THREE.Vector3(...CONFIG.camera.flyDirection).normalize();
+    const ARRIVE_DISTANCE = 0.5;
+    let paneOnArrival = null;
+
+    const orbit = createOrbitCamera(camera, {
+        smoothing: CONFIG.motion.orbitSmoothing,
+        flySmoothing: CONFIG.motion.flySmoothing,
+        maxDistance: overview.distance * 2,
+        isContent: (target) => target.closest('#reading-pane, #gate-overlay, .theme-switcher, [role="dialog"], a, button, input, select, textarea'),
+        onTap
+    });
+
+    // Far enough for the crystal and its label to fit the view at any aspect
+    function framingDistance() {
+        const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+        const [width, height] = CONFIG.camera.frameSize;
+        return Math.max(
+            CONFIG.camera.flyDistance,
+            width / 2 / (tanHalfFov * camera.aspect),
+            height / 2 / tanHalfFov
+        );
+    }
+
+    function flyToNode(group) {
+        const center = group.position.clone();
+        center.y += 1; // Between the crystal and its label
+        orbit.flyTo(center, { distance: framingDistance(), direction: flyDirection });
+    }
+
+    function flyToOverview() {
+        orbit.flyTo(overview.target, { distance: overview.distance, direction: overview.direction });
+    }
+
+    function selectNode(group) {
+        if (activeNodeGroup) activeNodeGroup.userData.isFrozen = false; // Reset old node
+        activeNodeGroup = group;
+        activeNodeGroup.userData.isFrozen = true;
+    }
+
+    function showReadingPane(group) {
+        const sourceSection = document.getElementById(group.userData.originalSectionId);
+        const readingContent = document.getElementById('reading-content');
+        if (sourceSection && readingContent) {
+            readingContent.innerHTML = sourceSection.innerHTML;
+            const heading = readingContent.querySelector('h2');
+            if (heading) heading.id = 'reading-title';
+
+            readingPane.style.opacity = '1';
+            readingPane.style.pointerEvents = 'auto';
+            readingPane.style.transform = 'translate(-50%, -50%) scale(1)';
+            readingPane.inert = false;
+
+            if (!paneOpen) returnFocus = document.activeElement;
+            paneOpen = true;
+            // A task later, so the opening mousedown's own focus change can't undo it
+            setTimeout(() => {
+                if (paneOpen) readingPane.focus({ preventScroll: true });
+            });
+            const related = group.userData.neighbors.map(node => node.userData.titleText);
+            announce(`${group.userData.titleText} opened` + (related.length ? `. Related: ${related.join(', ')}` : ''));
+        }
+    }
+
     function closeReadingPane() {
         if (activeNodeGroup) {
             activeNodeGroup.userData.isFrozen = false;
             activeNodeGroup = null;
         }
 
+        paneOnArrival = null;
+        flyToOverview();
+        hideReadingPane();
+    }
+
+    function hideReadingPane() {
         readingPane.style.opacity = '0';
         readingPane.style.pointerEvents = 'none';
         readingPane.style.transform = 'translate(-50%, -50%) scale(0.9)';
+        readingPane.inert = true;
+
+        if (!paneOpen) return;
+        paneOpen = false;
+        // Back to whatever had focus before, e.g. the node's button
+        const target = returnFocus;
+        returnFocus = null;
+        if (!target || target === document.body || !target.isConnected) return;
+        setTimeout(() => {
+            if (!paneOpen) target.focus({ preventScroll: true });
+        });
     }
 
-    function onMouseClick(event) {
-        mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-
-        raycaster.setFromCamera(mouse, camera);
-
-        const intersects = raycaster.intersectObjects(interactables);
-
-        if (intersects.length > 0) {
-            // Find which group
-            const hitObj = intersects[0].object;
-            const hitGroup = hitObj.parent;
-
-            let targetGroup = null;
-            if (hitGroup.userData && hitGroup.userData.originalSectionId) targetGroup = hitGroup;
-            else if (hitGroup.parent && hitGroup.parent.userData && hitGroup.parent.userData.originalSectionId) targetGroup = hitGroup.parent;
+    // Presses that didn't turn into an orbit or pan
+    function onTap(clientX, clientY) {
+        const targetGroup = picker.pick(clientX, clientY);
 
-            if (targetGroup && activeNodeGroup !== targetGroup) {
-                // Reset old node
-                if (activeNodeGroup) activeNodeGroup.userData.isFrozen = false;
-
-                activeNodeGroup = targetGroup;
-                activeNodeGroup.userData.isFrozen = true;
-
-                const sectionId = activeNodeGroup.userData.originalSectionId;
-                const sourceSection = document.getElementById(sectionId);
-                const readingContent = document.getElementById('reading-content');
-                if (sourceSection && readingContent) {
-                    readingContent.innerHTML = sourceSection.innerHTML;
-                    readingPane.style.opacity = '1';
-                    readingPane.style.pointerEvents = 'auto';
-                    readingPane.style.transform = 'translate(-50%, -50%) scale(1)';
-                }
+        if (targetGroup) {
+            if (activeNodeGroup !== targetGroup) {
+                openNode(targetGroup.userData.originalSectionId, { fly: true });
+                onSelect(targetGroup.userData.originalSectionId);
             }
-        } else {
+        } else if (activeNodeGroup) {
             // Clicked empty space
             closeReadingPane();
+            onSelect(null);
+        }
+    }
+
+    function openNode(sectionId, { fly = false } = {}) {
+        const group = nodes.find(node => node.userData.originalSectionId === sectionId);
+        if (!group) return false;
+        if (group === activeNodeGroup) return true;
+
+        selectNode(group);
+        if (fly) {
+            hideReadingPane(); // A previous node's pane, until the camera arrives
+            flyToNode(group);
+            paneOnArrival = group;
+        } else {
+            showReadingPane(group);
         }
+        controller.invalidate();
+        return true;
     }
 
-    window.addEventListener('mousedown', onMouseClick);
-    window.addEventListener('touchstart', (e) => {
-        const touch = e.changedTouches[0];
-        onMouseClick({ clientX: touch.clientX, clientY: touch.clientY });
+    function closeNode() {
+        closeReadingPane();
+        controller.invalidate();
+    }
+
+    listeners.on(document, 'keydown', (e) => {
+        if (e.key !== 'Escape' || !activeNodeGroup) return;
+        closeReadingPane();
+        onSelect(null);
+        controller.invalidate();
     });
 
     // --- Animation Loop ---
     const clock = new THREE.Clock();
 
-    function animate() {
-        requestAnimationFrame(animate);
-
-        const time = clock.getElapsedTime();
+    // Eases a material's opacity toward the target, returns true until it gets there
+    function fadeTo(material, target, delta) {
+        material.opacity = damp(material.opacity, target, CONFIG.motion.fadeSmoothing, delta);
+        return Math.abs(material.opacity - target) > 0.01;
+    }
 
-        // Collision Avoidance Logic
-        // Increased distance to 9.0 to account for the width of the sprites (Scale 7)
-        // This ensures they bump into each other before the text overlaps
-        const minDistance = 9.0;
-        for (let i = 0; i < nodes.length; i++) {
-            for (let j = i + 1; j < nodes.length; j++) {
-                const n1 = nodes[i];
-                const n2 = nodes[j];
+    const facingCamera = new THREE.Quaternion();
+    let reduceMotion = isMotionReduced();
+    let ambientTime = 0; // Drives sway and the starfield; stops with reduced motion
 
-                if (n1.userData.isFrozen || n2.userData.isFrozen) continue;
+    function animate(time, delta) {
+        let isFading = false;
+        const drift = delta * (reduceMotion ? CONFIG.motion.reducedDrift : 1);
+        if (!reduceMotion) ambientTime += delta;
 
-                const dx = n1.position.x - n2.position.x;
-                const dy = n1.position.y - n2.position.y;
-                const dz = n1.position.z - n2.position.z;
-                const distSq = dx * dx + dy * dy + dz * dz;
+        picker.update();
 
-                if (distSq < minDistance * minDistance) {
-                    const dist = Math.sqrt(distSq);
-                    const force = 0.001 * (minDistance - dist); // Tuning repulsion strength
+        // Repulsion, soft bounds and drift for every node (frozen ones stay put)
+        forces.step(bodies, drift, links);
 
-                    // Push apart velocities
-                    // Add X/Y randomness to avoid stacking
-                    n1.userData.velocity.x += (dx / dist) * force;
-                    n1.userData.velocity.y += (dy / dist) * force;
-                    n1.userData.velocity.z += (dz / dist) * force;
-
-                    n2.userData.velocity.x -= (dx / dist) * force;
-                    n2.userData.velocity.y -= (dy / dist) * force;
-                    n2.userData.velocity.z -= (dz / dist) * force;
-                }
-            }
-        }
+        // Frozen nodes turn toward the camera's current orientation
+        facingCamera.copy(camera.quaternion);
 
         // Animate Nodes
         nodes.forEach(group => {
@@ -366,41 +788,26 @@ export function initDetailsScene(containerId, initialTheme) {
 
             // Rotate Crystal
             if (data.crystalMesh) {
-                data.crystalMesh.rotation.x += data.rotationSpeed;
-                data.crystalMesh.rotation.y += data.rotationSpeed;
+                data.crystalMesh.rotation.x += data.rotationSpeed * drift;
+                data.crystalMesh.rotation.y += data.rotationSpeed * drift;
             }
 
             if (!data.isFrozen) {
-                // Drift
-                group.position.add(data.velocity);
-
-                // STRICT BOUNDS CHECK (Stay on screen)
-                // Assuming camera z=20, FOV=60
-                const limitX = 14;
-                const limitY = 7;
-                const limitZ = 10; // Don't get too close or too far
-
-                if (group.position.x > limitX) { group.position.x = limitX; data.velocity.x *= -1; }
-                if (group.position.x < -limitX) { group.position.x = -limitX; data.velocity.x *= -1; }
-
-                if (group.position.y > limitY) { group.position.y = limitY; data.velocity.y *= -1; }
-                if (group.position.y < -limitY) { group.position.y = -limitY; data.velocity.y *= -1; }
-
-                if (group.position.z > 5) { group.position.z = 5; data.velocity.z *= -1; }
-                if (group.position.z < -10) { group.position.z = -10; data.velocity.z *= -1; }
-
                 // Gentle Sway
-                group.position.y += Math.sin(time + group.id) * 0.002;
+                if (!reduceMotion) group.position.y += Math.sin(ambientTime + group.id) * 0.12 * delta;
 
-                // FADE IN when drifting (Release)
+                // FADE IN when drifting (Release); neighbours of the open node stand out
+                const [labelOpacity, crystalOpacity] = !activeNodeGroup ? CONFIG.emphasis.rest
+                    : activeNodeGroup.userData.neighbors.includes(group) ? CONFIG.emphasis.neighbor
+                        : CONFIG.emphasis.other;
                 group.children.forEach(child => {
                     if (child.material) {
-                        const targetOp = child.isSprite ? 0.9 : 0.5;
-                        child.material.opacity = THREE.MathUtils.lerp(child.material.opacity, targetOp, 0.1);
+                        const targetOp = child.isSprite ? labelOpacity : crystalOpacity;
+                        if (fadeTo(child.material, targetOp, delta)) isFading = true;
                     } else if (child.isMesh) {
-                        child.material.opacity = THREE.MathUtils.lerp(child.material.opacity, 0.5, 0.1);
+                        if (fadeTo(child.material, 0.5, delta)) isFading = true;
                         child.children.forEach(c => {
-                            if (c.material) c.material.opacity = THREE.MathUtils.lerp(c.material.opacity, 1.0, 0.1);
+                            if (c.material && fadeTo(c.material, 1.0, delta)) isFading = true;
                         });
                     }
                 });
@@ -408,22 +815,18 @@ export function initDetailsScene(containerId, initialTheme) {
             } else {
                 // FROZEN STATE (Clicked)
 
-                // 1. DO NOT ZOOM (Keep current position or just stabilize)
-                // We just want it to stop and maybe face the camera perfectly.
-                // We calculate a target that is simply "where it is now" but rotation aligned.
-
-                // Optional: Slerp rotation to look at camera
-                group.quaternion.slerp(new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, 0)), 0.1);
+                // Holds still and turns to face the camera as it flies in
+                dampQuaternion(group.quaternion, facingCamera, CONFIG.motion.focusSmoothing, delta);
 
                 // FADE OUT when reading (Active)
                 group.children.forEach(child => {
                     if (child.isSprite) {
-                        child.material.opacity = THREE.MathUtils.lerp(child.material.opacity, 0.05, 0.1);
+                        if (fadeTo(child.material, 0.05, delta)) isFading = true;
                     }
                     if (child.isMesh) {
-                        child.material.opacity = THREE.MathUtils.lerp(child.material.opacity, 0.1, 0.1);
+                        if (fadeTo(child.material, 0.1, delta)) isFading = true;
                         child.children.forEach(c => {
-                            if (c.material) c.material.opacity = THREE.MathUtils.lerp(c.material.opacity, 0.2, 0.1);
+                            if (c.material && fadeTo(c.material, 0.2, delta)) isFading = true;
                         });
                     }
                 });
@@ -431,15 +834,38 @@ export function initDetailsScene(containerId, initialTheme) {
         });
 
         // Rotate Starfield
-        starField.rotation.y = time * 0.02;
+        starField.rotation.y = ambientTime * 0.02;
+
+        // Relationship lines follow the nodes; pulses flow while motion is allowed
+        updateLinks();
+        const linkUniforms = linkMat.uniforms;
+        const linkFocus = activeNodeGroup ? 1 : 0;
+        linkUniforms.uTime.value = ambientTime * CONFIG.links.flowSpeed;
+        linkUniforms.uFocus.value = damp(linkUniforms.uFocus.value, linkFocus, CONFIG.motion.fadeSmoothing, delta);
+        if (Math.abs(linkUniforms.uFocus.value - linkFocus) > 0.01) isFading = true;
+
+        // Camera: eased orbit input and flights (frozen nodes stay put, so a
+        // flight's goal only moves on selection)
+        const cameraMoving = orbit.update(delta, reduceMotion);
+        if (paneOnArrival && orbit.distanceToGoal() < ARRIVE_DISTANCE) {
+            showReadingPane(paneOnArrival);
+            paneOnArrival = null;
+        }
 
-        composer.render();
-    }
+        // Focus ring faces the camera around the keyboard-focused node
+        focusRing.visible = focusedNode !== null;
+        if (focusedNode) {
+            focusRing.position.copy(focusedNode.position);
+            focusRing.quaternion.copy(camera.quaternion);
+        }
 
-    animate();
+        // Full frame rate until fades and camera movement have finished; drift,
+        // sway, the starfield and link pulses run at the ambient rate
+        return isFading || cameraMoving;
+    }
 
     // --- Resize ---
-    window.addEventListener('resize', () => {
+    listeners.on(window, 'resize', () => {
         const width = window.innerWidth;
         const height = window.innerHeight;
 
@@ -447,31 +873,48 @@ export function initDetailsScene(containerId, initialTheme) {
         camera.updateProjectionMatrix();
 
         renderer.setSize(width, height);
-        composer.setSize(width, height);
-        bloomPass.resolution.set(width, height);
+        bloom.setSize(width, height);
     });
 
     // --- Theme Change Handler ---
-    window.addEventListener('theme-change', (e) => {
-        const { color, bg } = e.detail;
+    // Runs on every frame of a theme transition. Label borders are baked into
+    // canvas textures, so those are redrawn at most every LABEL_REDRAW_INTERVAL ms
+    // (and always for the final color).
+    const LABEL_REDRAW_INTERVAL = 100;
+    let labelColor = '#' + new THREE.Color(CONFIG.nodeColor).getHexString();
+    let lastLabelRedraw = -Infinity;
+
+    const unsubscribeTheme = subscribeTheme((newTheme) => {
+        const { color, bg } = newTheme;
         const newColor = new THREE.Color(color);
         const newBg = new THREE.Color(bg);
 
+        const now = performance.now();
+        const redrawLabels = color !== labelColor &&
+            (color === getTheme().color || now - lastLabelRedraw >= LABEL_REDRAW_INTERVAL);
+        if (redrawLabels) {
+            labelColor = color;
+            lastLabelRedraw = now;
+            labels.setColor(color);
+        }
+
         // 1. Update Config
         CONFIG.bgColor = newBg.getHex();
         CONFIG.nodeColor = newColor.getHex();
-        CONFIG.particleColor = newColor.clone().offsetHSL(0, 0, 0.2).getHex();
+        CONFIG.particleColor = new THREE.Color(derivePalette(newTheme).particle).getHex();
 
         // 2. Update Environment
         scene.fog.color = newBg;
 
-        // 3. Update Particles
+        // 3. Update Particles, Bloom and Fog Density
         particlesMat.color = new THREE.Color(CONFIG.particleColor);
+        applyVisuals(resolveVisuals(newTheme, 'details'));
 
-        // 4. Update Crystals and Labels
-        nodes.forEach(group => {
-            const titleText = group.userData.titleText; // Need to ensure we saved this!
+        focusRing.material.color = newColor;
+        linkMat.uniforms.uColor.value.copy(newColor);
 
+        // 4. Update Crystals
+        nodes.forEach(group => {
             group.children.forEach(child => {
                 // Update Crystal
                 if (child.isMesh && child.geometry.type === 'IcosahedronGeometry') {
@@ -481,61 +924,54 @@ export function initDetailsScene(containerId, initialTheme) {
                         child.material.color = newColor;
                     }
                 }
-
-                // Update Label (Sprite)
-                if (child.isSprite) {
-                    // We need to redraw the canvas to change the border color
-                    // Assuming 'titleText' is available in userData, which we will add now
-                    if (titleText) {
-                        const newSprite = createLabelTheme(titleText, color);
-                        child.material.map = newSprite.material.map;
-                    }
-                }
             });
         });
+
+        controller.invalidate();
+    }, { transition: true });
+
+    // --- Motion Policy ---
+    const unsubscribeMotion = subscribeMotion((reduced) => {
+        reduceMotion = reduced;
+        controller.invalidate();
     });
 
-    // Modified createLabel to accept color, or reuse existing one structure
-    function createLabelTheme(text, themeColorHex) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = 1024;
-        canvas.height = 256;
-
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
-        const r = 40;
-        const x = 20, y = 40, w = canvas.width - 40, h = canvas.height - 80;
-        ctx.beginPath();
-        ctx.roundRect(x, y, w, h, r);
-        ctx.fill();
-
-        // Border - Theme Color
-        ctx.strokeStyle = themeColorHex || '#00ffff';
-        ctx.lineWidth = 2;
-        ctx.stroke();
-
-        ctx.font = '700 55px Orbitron, sans-serif';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-
-        ctx.fillStyle = '#ffffff';
-        ctx.shadowColor = 'rgba(0,0,0,0)';
-        ctx.shadowBlur = 0;
-
-        const maxWidth = canvas.width - 120;
-        ctx.fillText(text.toUpperCase(), canvas.width / 2, canvas.height / 2, maxWidth);
-
-        const texture = new THREE.CanvasTexture(canvas);
-        texture.anisotropy = renderer.capabilities.getMaxAnisotropy();
-
-        const material = new THREE.SpriteMaterial({
-            map: texture,
-            transparent: true,
-            opacity: 0.9,
-            blending: THREE.NormalBlending
-        });
-        const sprite = new THREE.Sprite(material);
-        sprite.scale.set(7, 1.75, 1);
-        return sprite;
-    }
+    // --- Lifecycle ---
+    const controller = createSceneController({
+        clock,
+        frame: animate,
+        render: bloom.render,
+        idleThreshold: options.idleThreshold,
+        ambient: () => !reduceMotion,
+        quality,
+        cleanup() {
+            listeners.removeAll();
+            unsubscribeTheme();
+            unsubscribeMotion();
+            picker.dispose();
+            orbit.dispose();
+            document.body.style.cursor = '';
+
+            // Hand the source sections and reading pane back to the page
+            sections.forEach(sec => sec.style.display = '');
+            if (ownsReadingPane) readingPane.remove();
+            nodeNav.remove();
+            announcer.remove();
+
+            disposeObject(scene);
+            crystalMat.dispose(); // Template only, every crystal renders a clone
+            labels.dispose(); // Shared atlas source and any labels off the scene graph
+            bloom.dispose();
+            disposeRenderer(renderer);
+        },
+        api: seedControls('details', seed, {
+            openNode,
+            closeNode,
+            get activeNode() {
+                return activeNodeGroup && activeNodeGroup.userData.originalSectionId;
+            }
+        })
+    });
+
+    return controller;
 }
@@ -0,0 +1,119 @@
+import { createRandom, deriveSeed } from './random.js';
+
+// --- Point Distributions ---
+// Pure generators shared by geometry.worker.js and the main-thread fallback in
+// geometry-service.js. Each returns Float32Arrays only, so results can be
+// transferred out of the worker without copying.
+//
+// Pass a `seed` to make a generator reproducible; without one it uses
+// Math.random. Seeds are plain numbers so they cross the worker boundary.
+
+const randomFor = (seed) => (seed === undefined ? Math.random : createRandom(seed));
+
+// Interleaves the bits of three 10-bit integers into one 30-bit Morton code
+function spreadBits(v) {
+    v = (v | (v << 16)) & 0x030000ff;
+    v = (v | (v << 8)) & 0x0300f00f;
+    v = (v | (v << 4)) & 0x030c30c3;
+    v = (v | (v << 2)) & 0x09249249;
+    return v;
+}
+
+export function mortonOrder(positions, count) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < count * 3; i++) {
+        const axis = i % 3;
+        min[axis] = Math.min(min[axis], positions[i]);
+        max[axis] = Math.max(max[axis], positions[i]);
+    }
+
+    const codes = new Uint32Array(count);
+    for (let i = 0; i < count; i++) {
+        let code = 0;
+        for (let axis = 0; axis < 3; axis++) {
+            const range = max[axis] - min[axis] || 1;
+            const q = Math.min(1023, Math.floor(((positions[i * 3 + axis] - min[axis]) / range) * 1024));
+            code |= spreadBits(q) << axis;
+        }
+        codes[i] = code >>> 0;
+    }
+
+    const order = Array.from({ length: count }, (_, i) => i);
+    order.sort((a, b) => codes[a] - codes[b]);
+    return order;
+}
+
+// Reorders points (and their randoms) along a Morton curve so that neighbours
+// in the arrays are neighbours in space
+function applySpatialSort({ positions, randoms }) {
+    const count = randoms.length;
+    const sortedPositions = new Float32Array(count * 3);
+    const sortedRandoms = new Float32Array(count);
+
+    mortonOrder(positions, count).forEach((source, target) => {
+        sortedPositions[target * 3] = positions[source * 3];
+        sortedPositions[target * 3 + 1] = positions[source * 3 + 1];
+        sortedPositions[target * 3 + 2] = positions[source * 3 + 2];
+        sortedRandoms[target] = randoms[source];
+    });
+
+    return { positions: sortedPositions, randoms: sortedRandoms };
+}
+
+// Points between minRadius and maxRadius around `center`, uniform in direction
+function sphereShell({ count, minRadius = 0, maxRadius = 1, center = [0, 0, 0], spatialSort = false, seed }) {
+    const random = randomFor(seed);
+    const positions = new Float32Array(count * 3);
+    const randoms = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        const r = minRadius + random() * (maxRadius - minRadius);
+        const theta = random() * Math.PI * 2;
+        const phi = Math.acos(2 * random() - 1);
+
+        positions[i * 3] = r * Math.sin(phi) * Math.cos(theta) + center[0];
+        positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta) + center[1];
+        positions[i * 3 + 2] = r * Math.cos(phi) + center[2];
+
+        randoms[i] = random();
+    }
+
+    return spatialSort ? applySpatialSort({ positions, randoms }) : { positions, randoms };
+}
+
+// Points spread evenly through a box of `size` [x, y, z] around `center`
+function boxVolume({ count, size = [1, 1, 1], center = [0, 0, 0], seed }) {
+    const random = randomFor(seed);
+    const positions = new Float32Array(count * 3);
+    const randoms = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        positions[i * 3] = (random() - 0.5) * size[0] + center[0];
+        positions[i * 3 + 1] = (random() - 0.5) * size[1] + center[1];
+        positions[i * 3 + 2] = (random() - 0.5) * size[2] + center[2];
+
+        randoms[i] = random();
+    }
+
+    return { positions, randoms };
+}
+
+// Points inside `radius` with outward velocities (units per second) proportional
+// to their offset
+function burst({ count, radius = 1, minForce = 3, maxForce = 9, seed }) {
+    const random = randomFor(seed);
+    const { positions, randoms } = sphereShell({ count, minRadius: 0, maxRadius: radius, seed: deriveSeed(random) });
+    const velocities = new Float32Array(count * 3);
+
+    for (let i = 0; i < count * 3; i += 3) {
+        const force = minForce + random() * (maxForce - minForce);
+        velocities[i] = positions[i] * force;
+        velocities[i + 1] = positions[i + 1] * force;
+        velocities[i + 2] = positions[i + 2] * force;
+    }
+
+    return { positions, randoms, velocities };
+}
+
+export const distributions = { sphereShell, boxVolume, burst };
@@ -1,7 +1,11 @@
 import '../style.css'
 import { initDocsScene } from './docs-scene.js'
-
-// initDocsScene call moved to after theme loading
+import { applyUrlTheme } from './theme-service.js'
+import { initThemeSwitcher } from './theme-switcher.js'
+import { initMotionToggle } from './motion-toggle.js'
+import { readUrlSeed } from './random.js'
+import { initSeedControl } from './seed-control.js'
+import { topicsByCategory } from './content.js'
 
 // Loader Handler
 // Loader Handler - Robust Check
@@ -26,52 +30,55 @@ if (document.readyState === 'complete') {
 // Fallback: Force remove loader after 3 seconds if load event hangs
 setTimeout(removeLoader, 3000);
 
-// Theme Switcher Logic (Shared with main page)
-// Theme Logic
-const savedTheme = localStorage.getItem('theme');
-console.log("[DEBUG DOCS] Initial Load - raw localStorage:", savedTheme);
-let initialTheme = null;
-
-if (savedTheme) {
-    try {
-        initialTheme = JSON.parse(savedTheme);
-        // 1. Pre-apply CSS Variables immediately
-        document.documentElement.style.setProperty('--color-primary', initialTheme.color);
-        document.documentElement.style.setProperty('--color-bg', initialTheme.bg);
-        document.documentElement.style.setProperty('--glass-border', `${initialTheme.color}33`);
-    } catch (e) { console.error(e); }
-}
+// --- Topic Cards ---
+// One grid per category, built from the content manifest (see content.js).
+// The first grid sits directly under the page intro; later ones get a heading.
+function renderTopicCards(container) {
+    topicsByCategory().forEach(({ category, topics }, index) => {
+        if (index > 0) {
+            const heading = document.createElement('h2');
+            heading.className = 'section-title';
+            heading.textContent = category;
+            container.appendChild(heading);
+        }
 
-initDocsScene('canvas-container', initialTheme);
+        const grid = document.createElement('div');
+        grid.className = 'doc-grid';
 
-function applyTheme(color, bg) {
-    // 1. Update CSS Variables
-    document.documentElement.style.setProperty('--color-primary', color);
-    document.documentElement.style.setProperty('--color-bg', bg);
-    document.documentElement.style.setProperty('--glass-border', `${color}33`);
+        topics.forEach(topic => {
+            const card = document.createElement('div');
+            card.className = 'card';
 
-    // 2. Dispatch Event for Three.js
-    setTimeout(() => {
-        const event = new CustomEvent('theme-change', {
-            detail: { color, bg }
+            const title = document.createElement('h3');
+            title.textContent = topic.cardTitle;
+            const summary = document.createElement('p');
+            summary.textContent = topic.summary;
+            const link = document.createElement('a');
+            link.className = 'read-more';
+            link.href = `/details.html#${topic.id}`;
+            link.textContent = `${topic.action} \u2192`;
+
+            card.append(title, summary, link);
+            grid.appendChild(card);
         });
-        window.dispatchEvent(event);
-    }, 100);
+
+        container.appendChild(grid);
+    });
 }
 
-// Theme Switcher Logic (Shared with main page)
-document.querySelectorAll('.theme-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-        const color = btn.getAttribute('data-color');
-        const bg = btn.getAttribute('data-bg');
+const topicContainer = document.getElementById('doc-topics');
+if (topicContainer) renderTopicCards(topicContainer);
 
-        // Save Selection
-        console.log("[DEBUG DOCS] Saving Theme:", { color, bg });
-        localStorage.setItem('theme', JSON.stringify({ color, bg }));
+// Scene and switcher both follow the theme through theme-service.js; a shared
+// ?theme= / #theme= link is applied first so the scene starts in it. A ?seed=
+// link reproduces a layout (see random.js)
+applyUrlTheme();
+const scene = initDocsScene('canvas-container', undefined, { seed: readUrlSeed() });
 
-        applyTheme(color, bg);
-    });
-});
+// Theme Switcher Logic (Shared with main page)
+initThemeSwitcher();
+initMotionToggle();
+initSeedControl(scene);
 
 // --- UI Interaction Logic (Shared) ---
 
@@ -1,38 +1,71 @@
 import * as THREE from 'three';
-import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-
-export function initDocsScene(containerId, initialTheme) {
+import {
+    createListenerRegistry,
+    createSceneController,
+    disposeObject,
+    disposeRenderer
+} from './scene-lifecycle.js';
+import { createSelectiveBloom } from './selective-bloom.js';
+import { bloomParamsFor, derivePalette, getTheme, resolveVisuals, subscribeTheme } from './theme-service.js';
+import { generateSphereShell } from './geometry-service.js';
+import { resolveSeed, seedControls } from './random.js';
+import { applyRenderQuality, createQualityManager } from './quality-manager.js';
+import { REFERENCE_FPS, decay } from './smoothing.js';
+import { isMotionReduced, subscribeMotion } from './motion-policy.js';
+
+// `initialTheme` ({ color, bg }) is optional: the scene starts from and follows
+// the theme service (see theme-service.js). The theme's 'docs' visuals
+// scale bloom, fog, particle size and opacity, and exposure.
+// `options.idleThreshold` sets how long (ms) the scene keeps rendering at full
+// frame rate after the last input or animation before its render loop slows
+// to the ambient rate or, with nothing moving, goes to sleep.
+// `options.quality` pins a quality tier by name ('low' ... 'ultra'); otherwise
+// the tier adapts to frame times (see quality-manager.js).
+// With reduced motion (see motion-policy.js) the idle spin, pulse, particle
+// drift and camera float hold still; dragging still turns the core. Otherwise
+// they keep the loop running, at a lower frame rate once it is idle (see
+// render-scheduler.js).
+// `options.seed` (number or string) reproduces the particle cloud (see
+// random.js). The returned controller exposes `seed`, `isSeedLocked`,
+// `lockSeed()` and `unlockSeed()`.
+export function initDocsScene(containerId, initialTheme, options = {}) {
     const container = document.getElementById(containerId);
     if (!container) return;
 
-    // --- Configuration ---
-    // Fallback: Check localStorage if arg missing
-    if (!initialTheme) {
-        try {
-            const saved = localStorage.getItem('theme');
-            if (saved) initialTheme = JSON.parse(saved);
-        } catch (e) { }
-    }
-
-    // Use saved theme for initial colors if available
-    const primaryC = initialTheme ? new THREE.Color(initialTheme.color) : new THREE.Color(0x00ffff);
-    const bgC = initialTheme ? new THREE.Color(initialTheme.bg) : new THREE.Color(0x02020a);
+    const listeners = createListenerRegistry();
 
-    // Calculate secondary/complementary from primary for immediate consistency
-    const secondaryC = primaryC.clone().offsetHSL(0.6, 0, -0.2);
+    // --- Configuration ---
+    // Colors come from the theme service unless the caller passes a theme
+    const theme = initialTheme || getTheme();
+    const palette = derivePalette(theme);
+    const primaryC = new THREE.Color(theme.color);
+    const bgC = new THREE.Color(theme.bg);
+    const secondaryC = new THREE.Color(palette.secondary);
+    const seed = resolveSeed('docs', options.seed);
 
     const CONFIG = {
         bgColor: bgC.getHex(),
         coreColor: primaryC.getHex(),
         shellColor: secondaryC.getHex(),
-        particleColor: primaryC.clone().offsetHSL(0, 0, 0.2).getHex()
+        particleColor: new THREE.Color(palette.particle).getHex(),
+        // Selective bloom groups, see selective-bloom.js
+        bloom: {
+            nucleus: { strength: 1.2, radius: 0.5, threshold: 0 },
+            shell: { strength: 0.5, radius: 0.5, threshold: 0 }
+        },
+        fogDensity: 0.03,
+        particles: { size: 0.05, opacity: 0.6 },
+        // Rates are per second, see smoothing.js
+        motion: {
+            spin: 0.12,         // Idle rotation (rad/s) of the whole core and its parts
+            friction: 3,        // How quickly drag inertia dies down
+            reducedFriction: 12 // Same with reduced motion, so a flick barely coasts
+        }
     };
 
     // --- Scene & Camera ---
     const scene = new THREE.Scene();
-    scene.fog = new THREE.FogExp2(CONFIG.bgColor, 0.03);
+    scene.fog = new THREE.FogExp2(CONFIG.bgColor, CONFIG.fogDensity);
 
     const camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 100);
     camera.position.set(0, 0, 15);
@@ -43,19 +76,9 @@ export function initDocsScene(containerId, initialTheme) {
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
     container.appendChild(renderer.domElement);
 
-    // --- Post Processing ---
-    const renderScene = new RenderPass(scene, camera);
-    const bloomPass = new UnrealBloomPass(
-        new THREE.Vector2(window.innerWidth, window.innerHeight),
-        1.5, 0.4, 0.85
-    );
-    bloomPass.threshold = 0.15;
-    bloomPass.strength = 0.5; // Reduced bloom for subtle effect
-    bloomPass.radius = 0.5;
-
-    const composer = new EffectComposer(renderer);
-    composer.addPass(renderScene);
-    composer.addPass(bloomPass);
+    // --- Post Processing (Selective Bloom) ---
+    // The nucleus gets a strong glow of its own, the cage/rings/particles a subtle one
+    const bloom = createSelectiveBloom(renderer, scene, camera, CONFIG.bloom);
 
     // --- The Neural Core System ---
     const coreGroup = new THREE.Group();
@@ -141,38 +164,40 @@ export function initDocsScene(containerId, initialTheme) {
     coreGroup.add(cage);
 
     // 3. Floating Data Particles (Surrounding Cloud)
+    // Positions arrive from the geometry worker; until then the cloud draws nothing
     const particlesGeo = new THREE.BufferGeometry();
     const particleCount = 800;
-    const posArray = new Float32Array(particleCount * 3);
-    const scaleArray = new Float32Array(particleCount);
-
-    for (let i = 0; i < particleCount * 3; i += 3) {
-        // Spherical distribution
-        const r = 5 + Math.random() * 10; // Distance from center
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos((Math.random() * 2) - 1);
-
-        posArray[i] = r * Math.sin(phi) * Math.cos(theta);
-        posArray[i + 1] = r * Math.sin(phi) * Math.sin(theta);
-        posArray[i + 2] = r * Math.cos(phi);
 
-        scaleArray[i / 3] = Math.random();
-    }
-
-    particlesGeo.setAttribute('position', new THREE.BufferAttribute(posArray, 3));
-    particlesGeo.setAttribute('aScale', new THREE.BufferAttribute(scaleArray, 1));
+    generateSphereShell({ count: particleCount, minRadius: 5, maxRadius: 15, seed })
+        .then(({ positions, randoms }) => {
+            if (controller.isDisposed) return;
+            particlesGeo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            particlesGeo.setAttribute('aScale', new THREE.BufferAttribute(randoms, 1));
+            particlesGeo.computeBoundingSphere();
+            controller.invalidate();
+        })
+        .catch(e => console.error('Docs scene: could not generate particles', e));
 
     const particlesMat = new THREE.PointsMaterial({
-        size: 0.05,
+        size: CONFIG.particles.size,
         color: CONFIG.particleColor,
         transparent: true,
-        opacity: 0.6,
+        opacity: CONFIG.particles.opacity,
         blending: THREE.AdditiveBlending
     });
 
     const particles = new THREE.Points(particlesGeo, particlesMat);
     coreGroup.add(particles);
 
+    // --- Adaptive Quality ---
+    const quality = createQualityManager({
+        pinned: options.quality,
+        apply(tier) {
+            applyRenderQuality(renderer, bloom, tier);
+            particlesGeo.setDrawRange(0, Math.floor(particleCount * tier.particleFraction));
+        }
+    });
+
     // 4. Orbital Rings (Torus)
     const ringGeo = new THREE.TorusGeometry(6, 0.05, 16, 100);
     const ringMat = new THREE.MeshBasicMaterial({
@@ -194,11 +219,24 @@ export function initDocsScene(containerId, initialTheme) {
     ring3.scale.set(1.2, 1.2, 1.2);
     coreGroup.add(ring3);
 
+    bloom.add(nucleus, 'nucleus');
+    [cage, particles, ring1, ring2, ring3].forEach(obj => bloom.add(obj, 'shell'));
+
+    // --- Theme Visuals ---
+    function applyVisuals(visuals) {
+        const bloomParams = bloomParamsFor(CONFIG.bloom, visuals);
+        Object.entries(bloomParams).forEach(([name, params]) => bloom.setParams(name, params));
+        bloom.setExposure(visuals.exposure);
+        scene.fog.density = CONFIG.fogDensity * visuals.fogDensity;
+        particlesMat.size = CONFIG.particles.size * visuals.particleSize;
+        particlesMat.opacity = CONFIG.particles.opacity * visuals.particleOpacity;
+    }
+    applyVisuals(resolveVisuals(theme, 'docs'));
+
     // --- Interaction (Drag to Rotate) ---
     let isDragging = false;
     let previousMousePosition = { x: 0, y: 0 };
-    let rotationVelocity = { x: 0, y: 0 };
-    const friction = 0.95;
+    let rotationVelocity = { x: 0, y: 0 }; // rad/s
 
     // Mouse Events
     // Helper: Check if target is interactive content (text, cards, ui)
@@ -214,7 +252,7 @@ export function initDocsScene(containerId, initialTheme) {
     }
 
     // Mouse Events
-    window.addEventListener('mousedown', (e) => {
+    listeners.on(window, 'mousedown', (e) => {
         // Only drag if NOT clicking content
         if (isContent(e.target)) return;
 
@@ -222,7 +260,7 @@ export function initDocsScene(containerId, initialTheme) {
         previousMousePosition = { x: e.clientX, y: e.clientY };
     });
 
-    window.addEventListener('mousemove', (e) => {
+    listeners.on(window, 'mousemove', (e) => {
         if (!isDragging) return;
 
         const deltaMove = {
@@ -230,26 +268,27 @@ export function initDocsScene(containerId, initialTheme) {
             y: e.clientY - previousMousePosition.y
         };
 
-        rotationVelocity.x = deltaMove.y * 0.002;
-        rotationVelocity.y = deltaMove.x * 0.002;
+        coreGroup.rotation.x += deltaMove.y * 0.002;
+        coreGroup.rotation.y += deltaMove.x * 0.002;
 
-        coreGroup.rotation.x += rotationVelocity.x;
-        coreGroup.rotation.y += rotationVelocity.y;
+        // Released drags keep spinning at this speed
+        rotationVelocity.x = deltaMove.y * 0.002 * REFERENCE_FPS;
+        rotationVelocity.y = deltaMove.x * 0.002 * REFERENCE_FPS;
 
         previousMousePosition = { x: e.clientX, y: e.clientY };
     });
 
-    window.addEventListener('mouseup', () => isDragging = false);
+    listeners.on(window, 'mouseup', () => isDragging = false);
 
     // Touch Events
     // Touch Events
-    window.addEventListener('touchstart', (e) => {
+    listeners.on(window, 'touchstart', (e) => {
         if (isContent(e.target)) return;
         isDragging = true;
         previousMousePosition = { x: e.touches[0].clientX, y: e.touches[0].clientY };
     }, { passive: false });
 
-    window.addEventListener('touchmove', (e) => {
+    listeners.on(window, 'touchmove', (e) => {
         if (!isDragging) return;
 
         // Allow scrolling to happen naturally. 
@@ -261,66 +300,68 @@ export function initDocsScene(containerId, initialTheme) {
             y: e.touches[0].clientY - previousMousePosition.y
         };
 
-        rotationVelocity.x = deltaMove.y * 0.003;
-        rotationVelocity.y = deltaMove.x * 0.003;
+        coreGroup.rotation.x += deltaMove.y * 0.003;
+        coreGroup.rotation.y += deltaMove.x * 0.003;
 
-        coreGroup.rotation.x += rotationVelocity.x;
-        coreGroup.rotation.y += rotationVelocity.y;
+        rotationVelocity.x = deltaMove.y * 0.003 * REFERENCE_FPS;
+        rotationVelocity.y = deltaMove.x * 0.003 * REFERENCE_FPS;
 
         previousMousePosition = { x: e.touches[0].clientX, y: e.touches[0].clientY };
     }, { passive: false });
 
-    window.addEventListener('touchend', () => isDragging = false);
+    listeners.on(window, 'touchend', () => isDragging = false);
 
     // --- Animation Loop ---
     const clock = new THREE.Clock();
+    let reduceMotion = isMotionReduced();
+    let ambientTime = 0; // Drives the ambient motion; stops with reduced motion
 
-    function animate() {
-        requestAnimationFrame(animate);
-
-        const time = clock.getElapsedTime();
-        const delta = clock.getDelta(); // Not effectively used due to getElapsedTime, but good practice
+    function animate(time, delta) {
+        const { motion } = CONFIG;
+        const friction = reduceMotion ? motion.reducedFriction : motion.friction;
+        const step = reduceMotion ? 0 : motion.spin * delta;
+        if (!reduceMotion) ambientTime += delta;
 
         // Shader Updates
-        nucleusMat.uniforms.uTime.value = time;
+        nucleusMat.uniforms.uTime.value = ambientTime;
 
         if (!isDragging) {
             // Apply inertia
-            rotationVelocity.x *= friction;
-            rotationVelocity.y *= friction;
+            rotationVelocity.x = decay(rotationVelocity.x, friction, delta);
+            rotationVelocity.y = decay(rotationVelocity.y, friction, delta);
 
-            coreGroup.rotation.x += rotationVelocity.x;
-            coreGroup.rotation.y += rotationVelocity.y;
+            coreGroup.rotation.x += rotationVelocity.x * delta;
+            coreGroup.rotation.y += rotationVelocity.y * delta;
 
             // Default slow spin
-            coreGroup.rotation.y += 0.002;
-            coreGroup.rotation.z += 0.001;
+            coreGroup.rotation.y += step;
+            coreGroup.rotation.z += step * 0.5;
         }
 
         // Constant rotation of components
-        nucleus.rotation.y += 0.002;
-        nucleus.rotation.z += 0.001;
+        nucleus.rotation.y += step;
+        nucleus.rotation.z += step * 0.5;
 
-        cage.rotation.x -= 0.001;
-        cage.rotation.y -= 0.001;
+        cage.rotation.x -= step * 0.5;
+        cage.rotation.y -= step * 0.5;
 
-        ring1.rotation.z += 0.002;
-        ring2.rotation.z -= 0.002;
-        ring3.rotation.z += 0.001;
+        ring1.rotation.z += step;
+        ring2.rotation.z -= step;
+        ring3.rotation.z += step * 0.5;
 
         // Particle gentle wave
-        particles.rotation.y = time * 0.02;
+        particles.rotation.y = ambientTime * 0.02;
 
         // Camera float
-        camera.position.y = Math.sin(time * 0.2) * 0.2;
+        camera.position.y = Math.sin(ambientTime * 0.2) * 0.2;
 
-        composer.render();
+        // Full frame rate while dragging or while the drag inertia decays; the
+        // idle spin and camera float run at the ambient rate
+        return isDragging || Math.abs(rotationVelocity.x) > 6e-4 || Math.abs(rotationVelocity.y) > 6e-4;
     }
 
-    animate();
-
     // --- Resize ---
-    window.addEventListener('resize', () => {
+    listeners.on(window, 'resize', () => {
         const width = window.innerWidth;
         const height = window.innerHeight;
 
@@ -328,19 +369,18 @@ export function initDocsScene(containerId, initialTheme) {
         camera.updateProjectionMatrix();
 
         renderer.setSize(width, height);
-        composer.setSize(width, height);
-        bloomPass.resolution.set(width, height);
+        bloom.setSize(width, height);
 
         updateLayout();
     });
 
     // --- Theme Change Handler ---
-    window.addEventListener('theme-change', (e) => {
-        const { color, bg } = e.detail;
+    const unsubscribeTheme = subscribeTheme((newTheme) => {
+        const { color, bg } = newTheme;
+        const newPalette = derivePalette(newTheme);
 
         const newColor = new THREE.Color(color);
-        // Calculate complementary/secondary colors relative to the new primary
-        const secondaryColor = newColor.clone().offsetHSL(0.6, 0, -0.2);
+        const secondaryColor = new THREE.Color(newPalette.secondary);
 
         // Update Nucleus
         nucleusMat.uniforms.uColor.value = newColor;
@@ -352,10 +392,42 @@ export function initDocsScene(containerId, initialTheme) {
         ringMat.color = secondaryColor;
 
         // Update Particles
-        particlesMat.color = newColor.clone().offsetHSL(0, 0, 0.2);
+        particlesMat.color = new THREE.Color(newPalette.particle);
 
         // Update Fog NOT Background (CSS handles background)
         const newBg = new THREE.Color(bg);
         scene.fog.color = newBg;
+
+        applyVisuals(resolveVisuals(newTheme, 'docs'));
+
+        controller.invalidate();
+    }, { transition: true });
+
+    // --- Motion Policy ---
+    const unsubscribeMotion = subscribeMotion((reduced) => {
+        reduceMotion = reduced;
+        controller.invalidate();
+    });
+
+    // --- Lifecycle ---
+    const controller = createSceneController({
+        clock,
+        frame: animate,
+        render: bloom.render,
+        idleThreshold: options.idleThreshold,
+        ambient: () => !reduceMotion,
+        quality,
+        cleanup() {
+            listeners.removeAll();
+            unsubscribeTheme();
+            unsubscribeMotion();
+
+            disposeObject(scene);
+            bloom.dispose();
+            disposeRenderer(renderer);
+        },
+        api: seedControls('docs', seed)
     });
+
+    return controller;
 }
@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+
+// --- Entropy Decay ---
+// Visualizes data rot by pushing mesh faces along their normals. Every face gets
+// an `a_decay` value (how prone it is to corrupt); the global `uEntropy` uniform
+// decides how many faces are corrupted at once. Corrupted faces jitter in steps,
+// which reads as digital signal loss rather than smooth motion.
+
+// Adds a per-face `a_decay` attribute. Faces need their own vertices for this,
+// so indexed geometries are converted to non-indexed ones first.
+export function addDecayAttribute(geometry, random = Math.random) {
+    const target = geometry.index ? geometry.toNonIndexed() : geometry;
+    const vertexCount = target.attributes.position.count;
+    const decay = new Float32Array(vertexCount);
+
+    for (let face = 0; face < vertexCount / 3; face++) {
+        const value = random();
+        decay[face * 3] = value;
+        decay[face * 3 + 1] = value;
+        decay[face * 3 + 2] = value;
+    }
+
+    target.setAttribute('a_decay', new THREE.BufferAttribute(decay, 1));
+    return target;
+}
+
+export function createEntropyMaterial({ color, opacity = 1, amplitude = 0.35, wireframe = true }) {
+    return new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([
+            THREE.UniformsLib.fog,
+            {
+                uTime: { value: 0 },
+                uEntropy: { value: 0 },
+                uAmplitude: { value: amplitude },
+                uColor: { value: new THREE.Color(color) },
+                uOpacity: { value: opacity }
+            }
+        ]),
+        vertexShader: `
+            #include <fog_pars_vertex>
+
+            uniform float uTime;
+            uniform float uEntropy;
+            uniform float uAmplitude;
+            attribute float a_decay;
+            varying float vCorruption;
+
+            float hash(vec2 p) {
+                return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+            }
+
+            void main() {
+                // Faces whose decay exceeds (1 - entropy) are corrupted
+                float threshold = 1.0 - uEntropy;
+                float corruption = smoothstep(threshold, threshold + 0.15, a_decay) * step(0.001, uEntropy);
+
+                // Stepped time gives a glitchy 12Hz flicker per face
+                float jitter = hash(vec2(a_decay * 97.0, floor(uTime * 12.0)));
+                vec3 displaced = position + normal * corruption * uAmplitude * (0.3 + jitter);
+
+                vCorruption = corruption;
+
+                vec4 mvPosition = modelViewMatrix * vec4(displaced, 1.0);
+                gl_Position = projectionMatrix * mvPosition;
+
+                #include <fog_vertex>
+            }
+        `,
+        fragmentShader: `
+            #include <fog_pars_fragment>
+
+            uniform vec3 uColor;
+            uniform float uOpacity;
+            varying float vCorruption;
+
+            void main() {
+                // Corrupted faces lose some signal strength
+                vec3 color = uColor * (1.0 - vCorruption * 0.5);
+                gl_FragColor = vec4(color, uOpacity * (1.0 - vCorruption * 0.3));
+
+                #include <fog_fragment>
+            }
+        `,
+        wireframe,
+        transparent: true,
+        fog: true
+    });
+}
+
+// Drives `uEntropy` over time. Entropy recovers toward 0 at `recoveryRate` per
+// second unless an animateTo() tween is running. set() ends a running tween;
+// raise() and lower() shift it instead, so nudges don't cancel an animation.
+export function createEntropyController(material, { recoveryRate = 0.15 } = {}) {
+    const uniform = material.uniforms.uEntropy;
+    let tween = null;
+
+    function clamp(value) {
+        return THREE.MathUtils.clamp(value, 0, 1);
+    }
+
+    function finishTween() {
+        if (!tween) return;
+        const { resolve } = tween;
+        tween = null;
+        resolve();
+    }
+
+    function set(value) {
+        finishTween();
+        uniform.value = clamp(value);
+    }
+
+    function shift(amount) {
+        if (!amount) return;
+        if (tween) {
+            tween.from = clamp(tween.from + amount);
+            tween.to = clamp(tween.to + amount);
+        }
+        uniform.value = clamp(uniform.value + amount);
+    }
+
+    function raise(amount) {
+        shift(amount);
+    }
+
+    function lower(amount) {
+        shift(-amount);
+    }
+
+    // Eases entropy to `target` over `duration` seconds, resolves when done
+    function animateTo(target, duration = 1) {
+        finishTween();
+        return new Promise(resolve => {
+            tween = { from: uniform.value, to: clamp(target), duration, elapsed: 0, resolve };
+        });
+    }
+
+    // Advances the tween or the recovery; returns true while entropy is changing
+    function update(delta) {
+        const before = uniform.value;
+
+        if (tween) {
+            tween.elapsed += delta;
+            const t = Math.min(tween.elapsed / tween.duration, 1);
+            uniform.value = THREE.MathUtils.lerp(tween.from, tween.to, THREE.MathUtils.smootherstep(t, 0, 1));
+            if (t === 1) finishTween();
+        } else if (uniform.value > 0) {
+            uniform.value = Math.max(0, uniform.value - recoveryRate * delta);
+        }
+
+        return uniform.value !== before || tween !== null;
+    }
+
+    return {
+        raise,
+        lower,
+        set,
+        animateTo,
+        update,
+        get value() { return uniform.value; }
+    };
+}
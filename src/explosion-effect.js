@@ -0,0 +1,178 @@
+import * as THREE from 'three';
+import { generateBurst } from './geometry-service.js';
+import { distributions } from './distributions.js';
+import { deriveSeed } from './random.js';
+
+// --- Explosion Effect ---
+// A burst of glowing points that flies apart and fades out. Motion is computed
+// in the vertex shader from the burst's start time, so a running burst costs
+// no CPU work per frame. One geometry and one material are reused for every
+// burst; the next burst's layout is generated in the geometry worker while the
+// current one plays. Pass a seeded `random` to make the sequence of bursts
+// reproducible.
+
+export const EXPLOSION_DEFAULTS = {
+    count: 2000,
+    radius: 1.5, // Size of the sphere the points start in
+    minForce: 3, // Outward speed per unit of distance from the center (per second)
+    maxForce: 9,
+    drag: 1.2, // How quickly the expansion slows down (per second)
+    duration: 4 // Seconds until the burst has faded out completely
+};
+
+export function createExplosionEffect({ color, random = Math.random, ...options } = {}) {
+    const config = { ...EXPLOSION_DEFAULTS, ...options };
+    const { count, radius, minForce, maxForce } = config;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('aVelocity', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('aRandom', new THREE.BufferAttribute(new Float32Array(count), 1));
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            uTime: { value: 0 },
+            uStartTime: { value: 0 },
+            uDuration: { value: config.duration },
+            uDrag: { value: config.drag },
+            uColor: { value: new THREE.Color(color) }
+        },
+        vertexShader: `
+            uniform float uTime;
+            uniform float uStartTime;
+            uniform float uDuration;
+            uniform float uDrag;
+            attribute vec3 aVelocity;
+            attribute float aRandom;
+            varying float vAlpha;
+
+            void main() {
+                float age = max(uTime - uStartTime, 0.0);
+
+                // Closed form of velocity decaying by exp(-drag * t)
+                vec3 pos = position + aVelocity * (1.0 - exp(-uDrag * age)) / uDrag;
+
+                // Slow swirl around the Y axis plus a gentle bob
+                float swirl = age * 3.0;
+                float angle = swirl * (0.05 + aRandom * 0.05);
+                float s = sin(angle);
+                float c = cos(angle);
+                pos.xz = vec2(pos.x * c - pos.z * s, pos.x * s + pos.z * c);
+                pos.y += sin(swirl + aRandom * 5.0) * 0.2;
+
+                vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+                gl_Position = projectionMatrix * mvPosition;
+
+                gl_PointSize = (3.0 * aRandom + 1.0) * (20.0 / -mvPosition.z);
+
+                float life = 1.0 - clamp(age / uDuration, 0.0, 1.0);
+                vAlpha = 0.8 * life * life;
+            }
+        `,
+        fragmentShader: `
+            uniform vec3 uColor;
+            varying float vAlpha;
+
+            void main() {
+                float r = distance(gl_PointCoord, vec2(0.5));
+                if (r > 0.5) discard;
+                float strength = 1.0 - (r * 2.0);
+                strength = pow(strength, 2.0);
+                gl_FragColor = vec4(uColor, strength * vAlpha);
+            }
+        `,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+
+    const points = new THREE.Points(geometry, material);
+    points.visible = false;
+    points.frustumCulled = false; // Real positions only exist on the GPU
+
+    // Bursts are generated one trigger ahead so triggering never does the work.
+    // A failed worker request falls back to the main thread; if that fails too,
+    // the rejection is kept for trigger() instead of going unhandled meanwhile.
+    const burstParams = { count, radius, minForce, maxForce };
+    function nextLayout() {
+        const params = { ...burstParams, seed: deriveSeed(random) };
+        const layout = generateBurst(params).catch(e => {
+            console.warn('Explosion: worker could not generate the burst, using the main thread', e);
+            return distributions.burst(params);
+        });
+        layout.catch(() => {});
+        return layout;
+    }
+    let nextBurst = nextLayout();
+    let time = 0;
+    let active = null; // { resolve } while a burst plays
+    let pendingId = 0;
+
+    function loadBurst({ positions, velocities, randoms }) {
+        geometry.attributes.position.array.set(positions);
+        geometry.attributes.aVelocity.array.set(velocities);
+        geometry.attributes.aRandom.array.set(randoms);
+        Object.values(geometry.attributes).forEach(attribute => {
+            attribute.needsUpdate = true;
+        });
+    }
+
+    function finish() {
+        points.visible = false;
+        if (!active) return;
+        const { resolve } = active;
+        active = null;
+        resolve();
+    }
+
+    // Starts a burst as soon as its layout is ready. Resolves when it has faded
+    // out (or was stopped); rejects if the layout could not be generated.
+    function trigger() {
+        finish();
+
+        const id = ++pendingId;
+        const burst = nextBurst;
+        nextBurst = nextLayout();
+
+        return new Promise((resolve, reject) => {
+            burst.then(data => {
+                if (id !== pendingId) return resolve(); // Superseded or stopped meanwhile
+                loadBurst(data);
+                material.uniforms.uStartTime.value = time;
+                points.visible = true;
+                active = { resolve };
+            }, reject);
+        });
+    }
+
+    function stop() {
+        pendingId++;
+        finish();
+    }
+
+    // Advances the effect clock; returns true while a burst is playing
+    function update(elapsed) {
+        time = elapsed;
+        material.uniforms.uTime.value = elapsed;
+
+        if (active && elapsed - material.uniforms.uStartTime.value >= config.duration) finish();
+        return active !== null;
+    }
+
+    function dispose() {
+        stop();
+        geometry.dispose();
+        material.dispose();
+    }
+
+    return {
+        points,
+        config,
+        trigger,
+        stop,
+        update,
+        setColor: (value) => material.uniforms.uColor.value.set(value),
+        dispose,
+        get isActive() { return active !== null; }
+    };
+}
@@ -0,0 +1,74 @@
+import { distributions } from './distributions.js';
+
+// --- Geometry Service ---
+// Promise-based front end for geometry.worker.js. Scenes request a distribution
+// ("sphereShell", "boxVolume", "burst") and get transferable Float32Arrays back
+// without blocking the UI. One worker is shared by every scene on the page.
+// Where workers are unavailable (or the worker fails to start) the same
+// generators run on the main thread instead.
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 0;
+const pending = new Map();
+
+function rejectAll(error) {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+}
+
+function getWorker() {
+    if (worker) return worker;
+
+    worker = new Worker(new URL('./geometry.worker.js', import.meta.url), { type: 'module' });
+
+    worker.addEventListener('message', ({ data }) => {
+        const request = pending.get(data.id);
+        if (!request) return;
+        pending.delete(data.id);
+
+        if (data.error) request.reject(new Error(`Geometry service: ${data.error}`));
+        else request.resolve(data.result);
+    });
+
+    worker.addEventListener('error', (e) => {
+        console.warn('Geometry service: worker failed, generating on the main thread', e);
+        workerFailed = true;
+        disposeGeometryService();
+    });
+
+    return worker;
+}
+
+function runOnMainThread(type, params) {
+    return new Promise(resolve => resolve(distributions[type](params)));
+}
+
+export function generateDistribution(type, params) {
+    if (!distributions[type]) {
+        return Promise.reject(new Error(`Geometry service: unknown distribution "${type}"`));
+    }
+    if (typeof Worker === 'undefined' || workerFailed) return runOnMainThread(type, params);
+
+    return new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        // If the worker dies mid-request, fall back instead of failing the scene
+        pending.set(id, {
+            resolve,
+            reject: (error) => (workerFailed ? runOnMainThread(type, params) : Promise.reject(error)).then(resolve, reject)
+        });
+        getWorker().postMessage({ id, type, params });
+    });
+}
+
+export const generateSphereShell = (params) => generateDistribution('sphereShell', params);
+export const generateBoxVolume = (params) => generateDistribution('boxVolume', params);
+export const generateBurst = (params) => generateDistribution('burst', params);
+
+// Stops the shared worker; a new one starts on the next request
+export function disposeGeometryService() {
+    if (!worker) return;
+    worker.terminate();
+    worker = null;
+    rejectAll(new Error('Geometry service: disposed'));
+}
@@ -0,0 +1,15 @@
+import { distributions } from './distributions.js';
+
+// --- Geometry Worker ---
+// Generates point distributions off the main thread and transfers the buffers back.
+self.addEventListener('message', ({ data }) => {
+    const { id, type, params } = data;
+
+    try {
+        const result = distributions[type](params);
+        const transfer = Object.values(result).map(array => array.buffer);
+        self.postMessage({ id, result }, transfer);
+    } catch (e) {
+        self.postMessage({ id, error: e.message });
+    }
+});
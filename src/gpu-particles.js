@@ -0,0 +1,352 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+import { mortonOrder } from './distributions.js';
+
+// --- GPU Particle Field ---
+// Simulates particles entirely on the GPU with ping-pong position/velocity
+// textures. Velocities are driven by a curl-noise flow field, a cheap flocking
+// approximation and a spring back to each particle's origin so the field keeps
+// its overall shape. Consumers render the result by sampling `uniforms.uPositions`
+// with the `aReference` attribute of `geometry`.
+
+export const PARTICLE_FIELD_DEFAULTS = {
+    noiseScale: 0.08,       // Spatial frequency of the curl-noise field
+    noiseSpeed: 0.05,       // How fast the noise field evolves over time
+    curlWeight: 1.2,
+    separationWeight: 0.6,
+    alignmentWeight: 0.4,
+    cohesionWeight: 0.2,
+    homeWeight: 0.35,       // Spring back toward the origin position
+    neighborRadius: 1.5,
+    maxSpeed: 2.0,          // World units per second
+    damping: 0.8            // Fraction of velocity lost per second
+};
+
+// Larger gaps than this (e.g. after the render loop slept) are simulated as one short step
+const MAX_STEP = 1 / 30;
+
+// Ashima Arts 3D simplex noise (MIT) and its curl
+const NOISE_CHUNK = `
+    vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+    vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+    vec4 permute(vec4 x) { return mod289(((x * 34.0) + 1.0) * x); }
+    vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+
+    float snoise(vec3 v) {
+        const vec2 C = vec2(1.0 / 6.0, 1.0 / 3.0);
+        const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+
+        vec3 i = floor(v + dot(v, C.yyy));
+        vec3 x0 = v - i + dot(i, C.xxx);
+
+        vec3 g = step(x0.yzx, x0.xyz);
+        vec3 l = 1.0 - g;
+        vec3 i1 = min(g.xyz, l.zxy);
+        vec3 i2 = max(g.xyz, l.zxy);
+
+        vec3 x1 = x0 - i1 + C.xxx;
+        vec3 x2 = x0 - i2 + C.yyy;
+        vec3 x3 = x0 - D.yyy;
+
+        i = mod289(i);
+        vec4 p = permute(permute(permute(
+            i.z + vec4(0.0, i1.z, i2.z, 1.0))
+            + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+            + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+
+        float n_ = 0.142857142857;
+        vec3 ns = n_ * D.wyz - D.xzx;
+
+        vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+        vec4 x_ = floor(j * ns.z);
+        vec4 y_ = floor(j - 7.0 * x_);
+
+        vec4 x = x_ * ns.x + ns.yyyy;
+        vec4 y = y_ * ns.x + ns.yyyy;
+        vec4 h = 1.0 - abs(x) - abs(y);
+
+        vec4 b0 = vec4(x.xy, y.xy);
+        vec4 b1 = vec4(x.zw, y.zw);
+        vec4 s0 = floor(b0) * 2.0 + 1.0;
+        vec4 s1 = floor(b1) * 2.0 + 1.0;
+        vec4 sh = -step(h, vec4(0.0));
+
+        vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+        vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+
+        vec3 p0 = vec3(a0.xy, h.x);
+        vec3 p1 = vec3(a0.zw, h.y);
+        vec3 p2 = vec3(a1.xy, h.z);
+        vec3 p3 = vec3(a1.zw, h.w);
+
+        vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+        p0 *= norm.x;
+        p1 *= norm.y;
+        p2 *= norm.z;
+        p3 *= norm.w;
+
+        vec4 m = max(0.6 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+        m = m * m;
+        return 42.0 * dot(m * m, vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
+    }
+
+    vec3 snoiseVec3(vec3 x) {
+        return vec3(
+            snoise(x),
+            snoise(vec3(x.y - 19.1, x.z + 33.4, x.x + 47.2)),
+            snoise(vec3(x.z + 74.2, x.x - 124.4, x.y + 99.4))
+        );
+    }
+
+    vec3 curlNoise(vec3 p) {
+        const float e = 0.1;
+        vec3 dx = vec3(e, 0.0, 0.0);
+        vec3 dy = vec3(0.0, e, 0.0);
+        vec3 dz = vec3(0.0, 0.0, e);
+
+        vec3 px0 = snoiseVec3(p - dx);
+        vec3 px1 = snoiseVec3(p + dx);
+        vec3 py0 = snoiseVec3(p - dy);
+        vec3 py1 = snoiseVec3(p + dy);
+        vec3 pz0 = snoiseVec3(p - dz);
+        vec3 pz1 = snoiseVec3(p + dz);
+
+        float x = py1.z - py0.z - pz1.y + pz0.y;
+        float y = pz1.x - pz0.x - px1.z + px0.z;
+        float z = px1.y - px0.y - py1.x + py0.x;
+        return vec3(x, y, z) / (2.0 * e);
+    }
+`;
+
+// Neighbours are read along the texel order. Particles are Morton-sorted before
+// upload, so nearby texels start out (and mostly stay) nearby in space.
+const velocityShader = `
+    #define FLOCK_SAMPLES 8
+
+    uniform float uTime;
+    uniform float uDelta;
+    uniform sampler2D uOrigins;
+    uniform float uNoiseScale;
+    uniform float uNoiseSpeed;
+    uniform float uCurlWeight;
+    uniform float uSeparationWeight;
+    uniform float uAlignmentWeight;
+    uniform float uCohesionWeight;
+    uniform float uHomeWeight;
+    uniform float uNeighborRadius;
+    uniform float uMaxSpeed;
+    uniform float uDamping;
+    uniform float uCount; // Particles; texels past this are unused padding
+
+    ${NOISE_CHUNK}
+
+    // Wraps over the particles only, so padding texels are never neighbours
+    vec2 texelAt(float index) {
+        index = mod(index + uCount, uCount);
+        return (vec2(mod(index, resolution.x), floor(index / resolution.x)) + 0.5) / resolution.xy;
+    }
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 pos = texture2D(texturePosition, uv).xyz;
+        vec3 vel = texture2D(textureVelocity, uv).xyz;
+        vec3 origin = texture2D(uOrigins, uv).xyz;
+
+        // 1. Flow field
+        vec3 force = curlNoise(pos * uNoiseScale + vec3(uTime * uNoiseSpeed)) * uCurlWeight;
+
+        // 2. Flocking against nearby texels
+        float selfIndex = floor(gl_FragCoord.y) * resolution.x + floor(gl_FragCoord.x);
+        vec3 separation = vec3(0.0);
+        vec3 alignment = vec3(0.0);
+        vec3 center = vec3(0.0);
+        float neighbors = 0.0;
+
+        for (int i = 1; i <= FLOCK_SAMPLES; i++) {
+            float offset = float(i - FLOCK_SAMPLES / 2 - 1);
+            if (offset >= 0.0) offset += 1.0;
+            vec2 otherUv = texelAt(selfIndex + offset);
+
+            vec3 otherPos = texture2D(texturePosition, otherUv).xyz;
+            vec3 diff = pos - otherPos;
+            float dist = length(diff);
+
+            if (dist > 0.0001 && dist < uNeighborRadius) {
+                separation += diff / (dist * dist);
+                alignment += texture2D(textureVelocity, otherUv).xyz;
+                center += otherPos;
+                neighbors += 1.0;
+            }
+        }
+
+        if (neighbors > 0.0) {
+            force += separation * uSeparationWeight;
+            force += (alignment / neighbors - vel) * uAlignmentWeight;
+            force += (center / neighbors - pos) * uCohesionWeight;
+        }
+
+        // 3. Keep the field's overall shape
+        force += (origin - pos) * uHomeWeight;
+
+        vel += force * uDelta;
+        vel *= max(1.0 - uDamping * uDelta, 0.0);
+
+        float speed = length(vel);
+        if (speed > uMaxSpeed) vel *= uMaxSpeed / speed;
+
+        gl_FragColor = vec4(vel, 1.0);
+    }
+`;
+
+const positionShader = `
+    uniform float uDelta;
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec4 pos = texture2D(texturePosition, uv);
+        vec3 vel = texture2D(textureVelocity, uv).xyz;
+
+        gl_FragColor = vec4(pos.xyz + vel * uDelta, pos.w);
+    }
+`;
+
+function shuffledIndices(count, random) {
+    const indices = Array.from({ length: count }, (_, i) => i);
+    for (let i = count - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices;
+}
+
+// `positions` is a Float32Array of xyz origins, one per particle.
+// Optional `randoms` (one float per particle) is passed through as `aRandom`.
+// Pass `spatiallySorted: true` when the origins already come Morton-sorted
+// (e.g. from the geometry service with `spatialSort`) to skip sorting here.
+// `random` (default Math.random) fills missing randoms and shuffles the draw
+// order; pass a seeded one for a reproducible field.
+export function createParticleField(renderer, { positions, randoms, spatiallySorted = false, random = Math.random, ...options }) {
+    const config = { ...PARTICLE_FIELD_DEFAULTS, ...options };
+    const count = positions.length / 3;
+    const size = Math.ceil(Math.sqrt(count));
+
+    const gpuCompute = new GPUComputationRenderer(size, size, renderer);
+
+    // --- Initial State ---
+    const positionTexture = gpuCompute.createTexture();
+    const velocityTexture = gpuCompute.createTexture();
+    const originTexture = gpuCompute.createTexture();
+
+    const texelRandoms = new Float32Array(count);
+
+    const order = spatiallySorted ? Array.from({ length: count }, (_, i) => i) : mortonOrder(positions, count);
+
+    order.forEach((source, texel) => {
+        const x = positions[source * 3];
+        const y = positions[source * 3 + 1];
+        const z = positions[source * 3 + 2];
+        const particleRandom = randoms ? randoms[source] : random();
+
+        positionTexture.image.data.set([x, y, z, particleRandom], texel * 4);
+        originTexture.image.data.set([x, y, z, 1], texel * 4);
+        texelRandoms[texel] = particleRandom;
+    });
+    originTexture.needsUpdate = true;
+
+    // Vertices visit the texels in shuffled order, so drawing only the first N
+    // vertices (geometry.setDrawRange) still samples the whole field evenly
+    const referenceArray = new Float32Array(count * 2);
+    const randomArray = new Float32Array(count);
+
+    shuffledIndices(count, random).forEach((texel, vertex) => {
+        referenceArray[vertex * 2] = ((texel % size) + 0.5) / size;
+        referenceArray[vertex * 2 + 1] = (Math.floor(texel / size) + 0.5) / size;
+        randomArray[vertex] = texelRandoms[texel];
+    });
+
+    // --- Compute Variables ---
+    const velocityVariable = gpuCompute.addVariable('textureVelocity', velocityShader, velocityTexture);
+    const positionVariable = gpuCompute.addVariable('texturePosition', positionShader, positionTexture);
+    gpuCompute.setVariableDependencies(velocityVariable, [positionVariable, velocityVariable]);
+    gpuCompute.setVariableDependencies(positionVariable, [positionVariable, velocityVariable]);
+
+    const velocityUniforms = velocityVariable.material.uniforms;
+    velocityUniforms.uTime = { value: 0 };
+    velocityUniforms.uDelta = { value: 0 };
+    velocityUniforms.uOrigins = { value: originTexture };
+    velocityUniforms.uNoiseScale = { value: config.noiseScale };
+    velocityUniforms.uNoiseSpeed = { value: config.noiseSpeed };
+    velocityUniforms.uCurlWeight = { value: config.curlWeight };
+    velocityUniforms.uSeparationWeight = { value: config.separationWeight };
+    velocityUniforms.uAlignmentWeight = { value: config.alignmentWeight };
+    velocityUniforms.uCohesionWeight = { value: config.cohesionWeight };
+    velocityUniforms.uHomeWeight = { value: config.homeWeight };
+    velocityUniforms.uNeighborRadius = { value: config.neighborRadius };
+    velocityUniforms.uMaxSpeed = { value: config.maxSpeed };
+    velocityUniforms.uDamping = { value: config.damping };
+    velocityUniforms.uCount = { value: count };
+
+    const positionUniforms = positionVariable.material.uniforms;
+    positionUniforms.uDelta = { value: 0 };
+
+    const error = gpuCompute.init();
+    if (error !== null) throw new Error(`Particle field: ${error}`);
+
+    // --- Consumer Geometry ---
+    // `position` is unused by consumers but three.js expects it for draw counts
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('aReference', new THREE.BufferAttribute(referenceArray, 2));
+    geometry.setAttribute('aRandom', new THREE.BufferAttribute(randomArray, 1));
+
+    // Shared uniform objects: plug them straight into consumer materials
+    const uniforms = {
+        uPositions: { value: gpuCompute.getCurrentRenderTarget(positionVariable).texture },
+        uVelocities: { value: gpuCompute.getCurrentRenderTarget(velocityVariable).texture }
+    };
+
+    // Weights can be tuned live, e.g. setForces({ curlWeight: 2 })
+    function setForces(weights) {
+        Object.assign(config, weights);
+        velocityUniforms.uNoiseScale.value = config.noiseScale;
+        velocityUniforms.uNoiseSpeed.value = config.noiseSpeed;
+        velocityUniforms.uCurlWeight.value = config.curlWeight;
+        velocityUniforms.uSeparationWeight.value = config.separationWeight;
+        velocityUniforms.uAlignmentWeight.value = config.alignmentWeight;
+        velocityUniforms.uCohesionWeight.value = config.cohesionWeight;
+        velocityUniforms.uHomeWeight.value = config.homeWeight;
+        velocityUniforms.uNeighborRadius.value = config.neighborRadius;
+        velocityUniforms.uMaxSpeed.value = config.maxSpeed;
+        velocityUniforms.uDamping.value = config.damping;
+    }
+
+    function update(time, delta) {
+        const step = Math.min(delta, MAX_STEP);
+        velocityUniforms.uTime.value = time;
+        velocityUniforms.uDelta.value = step;
+        positionUniforms.uDelta.value = step;
+
+        gpuCompute.compute();
+
+        uniforms.uPositions.value = gpuCompute.getCurrentRenderTarget(positionVariable).texture;
+        uniforms.uVelocities.value = gpuCompute.getCurrentRenderTarget(velocityVariable).texture;
+    }
+
+    function dispose() {
+        gpuCompute.dispose(); // Frees the render targets and initial textures
+        velocityVariable.material.dispose();
+        positionVariable.material.dispose();
+        originTexture.dispose();
+        geometry.dispose();
+    }
+
+    return {
+        count,
+        config,
+        geometry,
+        uniforms,
+        setForces,
+        update,
+        dispose
+    };
+}
@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+
+// --- Label Atlas ---
+// Draws text labels (a dark pill with a colored border around the text) into
+// one shared canvas. Every label sprite has its own texture, but they are
+// clones sharing the canvas as their source, so the GPU holds and uploads a
+// single texture; each clone's offset/repeat picks out the label's cell.
+//
+// Cells are only redrawn when their text or the border color changes. Text
+// waits for the label webfont (LABEL_FONT) so it never shows up in the
+// fallback font first. When the atlas runs out of cells it is rebuilt twice
+// as large and the replaced textures are disposed.
+
+export const LABEL_FONT = '700 55px Orbitron, sans-serif';
+
+const CELL_WIDTH = 1024;
+const CELL_HEIGHT = 256;
+const COLUMNS = 2;
+
+// `onChange` is called when the atlas redraws on its own (once the font has
+// loaded), e.g. to request a frame
+export function createLabelAtlas(renderer, { color = '#00ffff', capacity = 8, onChange = () => {} } = {}) {
+    const labels = new Map(); // Sprite -> { text, cell }
+    const freeCells = [];
+
+    let canvas = null;
+    let ctx = null;
+    let baseTexture = null;
+    let rows = 0;
+    let cellScale = 1; // Below 1 if the atlas would exceed the max texture size
+    let borderColor = color;
+    let fontReady = false;
+    let disposed = false;
+
+    function build(cellCount) {
+        const firstNewCell = rows * COLUMNS;
+        rows = Math.max(1, Math.ceil(cellCount / COLUMNS));
+        cellScale = Math.min(1, renderer.capabilities.maxTextureSize / (rows * CELL_HEIGHT));
+
+        canvas = document.createElement('canvas');
+        canvas.width = Math.floor(COLUMNS * CELL_WIDTH * cellScale);
+        canvas.height = Math.floor(rows * CELL_HEIGHT * cellScale);
+        ctx = canvas.getContext('2d');
+
+        if (baseTexture) baseTexture.dispose();
+        baseTexture = new THREE.CanvasTexture(canvas);
+        baseTexture.anisotropy = renderer.capabilities.getMaxAnisotropy();
+
+        for (let cell = firstNewCell; cell < rows * COLUMNS; cell++) freeCells.push(cell);
+    }
+
+    function textureFor(cell) {
+        const texture = baseTexture.clone(); // Shares the canvas source
+        const row = Math.floor(cell / COLUMNS);
+        texture.repeat.set(1 / COLUMNS, 1 / rows);
+        texture.offset.set((cell % COLUMNS) / COLUMNS, 1 - (row + 1) / rows); // Row 0 is the top
+        return texture;
+    }
+
+    function drawCell({ text, cell }) {
+        const x = (cell % COLUMNS) * CELL_WIDTH;
+        const y = Math.floor(cell / COLUMNS) * CELL_HEIGHT;
+        ctx.setTransform(cellScale, 0, 0, cellScale, x * cellScale, y * cellScale);
+        ctx.clearRect(0, 0, CELL_WIDTH, CELL_HEIGHT);
+        if (!fontReady) return;
+
+        // Background pill, inset so mipmaps don't bleed into neighbouring cells
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        ctx.beginPath();
+        ctx.roundRect(20, 40, CELL_WIDTH - 40, CELL_HEIGHT - 80, 40);
+        ctx.fill();
+
+        ctx.strokeStyle = borderColor;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Clean white text, squeezed to fit so every pill has the same size
+        ctx.font = LABEL_FONT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(text.toUpperCase(), CELL_WIDTH / 2, CELL_HEIGHT / 2, CELL_WIDTH - 120);
+    }
+
+    // Uploads the canvas (once, every clone shares it)
+    function flush() {
+        labels.forEach((label, sprite) => sprite.material.map.needsUpdate = true);
+    }
+
+    function redrawAll() {
+        labels.forEach(drawCell);
+        flush();
+    }
+
+    function grow() {
+        build(rows * COLUMNS * 2);
+        labels.forEach((label, sprite) => {
+            const replaced = sprite.material.map;
+            sprite.material.map = textureFor(label.cell);
+            replaced.dispose();
+        });
+    }
+
+    // --- Public API ---
+    function createSprite(text) {
+        if (freeCells.length === 0) {
+            grow();
+            redrawAll();
+        }
+
+        const label = { text, cell: freeCells.shift() };
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: textureFor(label.cell),
+            transparent: true,
+            opacity: 0.9,
+            blending: THREE.NormalBlending // Normal blending avoids additive burnout
+        }));
+        labels.set(sprite, label);
+
+        drawCell(label);
+        flush();
+        return sprite;
+    }
+
+    function setText(sprite, text) {
+        const label = labels.get(sprite);
+        if (!label || label.text === text) return;
+        label.text = text;
+        drawCell(label);
+        flush();
+    }
+
+    function setColor(value) {
+        if (value === borderColor) return;
+        borderColor = value;
+        redrawAll();
+    }
+
+    // Frees the sprite's cell and disposes its material and texture
+    function remove(sprite) {
+        const label = labels.get(sprite);
+        if (!label) return;
+
+        labels.delete(sprite);
+        freeCells.push(label.cell); // Cleared when it is drawn again
+        sprite.material.map.dispose();
+        sprite.material.dispose();
+    }
+
+    function dispose() {
+        disposed = true;
+        labels.forEach((label, sprite) => {
+            sprite.material.map.dispose();
+            sprite.material.dispose();
+        });
+        labels.clear();
+        baseTexture.dispose();
+    }
+
+    build(capacity);
+
+    // Until the font has loaded, cells stay empty rather than using the fallback
+    const fontLoad = document.fonts ? document.fonts.load(LABEL_FONT) : Promise.resolve();
+    fontLoad
+        .catch(e => console.warn('Label atlas: could not load label font', e))
+        .then(() => {
+            if (disposed) return;
+            fontReady = true;
+            redrawAll();
+            onChange();
+        });
+
+    return {
+        createSprite,
+        setText,
+        setColor,
+        remove,
+        dispose
+    };
+}
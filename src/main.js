@@ -1,10 +1,10 @@
 import '../style.css'
 import { initScene } from './scene.js'
-
-// --- Theme Logic (Read First) ---
-// --- Theme Logic (Read First) ---
-const savedTheme = localStorage.getItem('theme');
-console.log("[DEBUG] Initial Load - raw localStorage:", savedTheme);
+import { applyUrlTheme } from './theme-service.js'
+import { initThemeSwitcher } from './theme-switcher.js'
+import { initMotionToggle } from './motion-toggle.js'
+import { readUrlSeed } from './random.js'
+import { initSeedControl } from './seed-control.js'
 
 // --- Loader Handler (Run First) ---
 function removeLoader() {
@@ -28,63 +28,25 @@ if (document.readyState === 'complete') {
 setTimeout(removeLoader, 3000);
 
 // --- Initialize Scene ---
-let initialTheme = null;
-if (savedTheme) {
-  try {
-    initialTheme = JSON.parse(savedTheme);
-  } catch (e) { }
-}
+// The scene reads and follows the theme through theme-service.js; a shared
+// ?theme= / #theme= link is applied first so the scene starts in it. A ?seed=
+// link reproduces a layout (see random.js)
+applyUrlTheme();
 
+let scene;
 try {
   // Initialize the 3D Scene
-  initScene('canvas-container', initialTheme);
+  scene = initScene('canvas-container', undefined, { seed: readUrlSeed() });
 } catch (e) {
   console.error("Critical Scene Error:", e);
   // Force remove loader immediately if scene crashes
   removeLoader();
 }
 
-// Theme Logic
-// savedTheme already declared at top
-
-function applyTheme(color, bg) {
-  // 1. Update CSS Variables
-  document.documentElement.style.setProperty('--color-primary', color);
-  document.documentElement.style.setProperty('--color-bg', bg);
-  document.documentElement.style.setProperty('--glass-border', `${color}33`);
-
-  // 2. Dispatch Event for Three.js
-  // Delay slightly to ensure scene is ready or listeners attached
-  setTimeout(() => {
-    console.log("[DEBUG] Dispatching theme-change event", { color, bg });
-    const event = new CustomEvent('theme-change', {
-      detail: { color, bg }
-    });
-    window.dispatchEvent(event);
-  }, 500);
-}
-
-// Apply Saved Theme
-if (savedTheme) {
-  try {
-    const { color, bg } = JSON.parse(savedTheme);
-    applyTheme(color, bg);
-  } catch (e) { console.error(e); }
-}
-
 // Theme Switcher Logic
-document.querySelectorAll('.theme-btn').forEach(btn => {
-  btn.addEventListener('click', () => {
-    const color = btn.getAttribute('data-color');
-    const bg = btn.getAttribute('data-bg');
-
-    // Save Selection
-    console.log("[DEBUG] Saving Theme:", { color, bg });
-    localStorage.setItem('theme', JSON.stringify({ color, bg }));
-
-    applyTheme(color, bg);
-  });
-});
+initThemeSwitcher();
+initMotionToggle();
+initSeedControl(scene);
 
 // --- Wallet Dropdown Logic ---
 const dropdownTrigger = document.querySelector('.btn-connect-trigger');
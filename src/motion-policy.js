@@ -0,0 +1,104 @@
+import { DEFAULT_TRANSITION_DURATION, setTransitionDuration } from './theme-service.js';
+
+// --- Motion Policy ---
+// Site-wide reduced-motion switch shared by every page and scene. It follows
+// the OS `prefers-reduced-motion` setting unless the user has picked a mode
+// with the motion toggle; that choice is stored under localStorage 'motion'
+// ('reduce' or 'full', absent for 'system') and synced between tabs.
+//
+// While motion is reduced the scenes drop ambient motion (parallax, camera
+// float, auto-rotation, drift) and the landing explosion, theme changes
+// apply without a tween, and `html.reduced-motion` stops CSS animations.
+
+export const MOTION_PREFERENCES = ['system', 'reduce', 'full'];
+
+const STORAGE_KEY = 'motion';
+
+const mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+function loadPreference() {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+        // Storage can be unavailable (privacy modes, sandboxed frames)
+    }
+    return MOTION_PREFERENCES.includes(stored) ? stored : 'system';
+}
+
+// --- State & Subscriptions ---
+let preference = loadPreference();
+let reduced = resolve();
+const subscribers = new Set();
+
+apply();
+
+function resolve() {
+    return preference === 'system' ? mediaQuery.matches : preference === 'reduce';
+}
+
+function apply() {
+    document.documentElement.classList.toggle('reduced-motion', reduced);
+    setTransitionDuration(reduced ? 0 : DEFAULT_TRANSITION_DURATION);
+}
+
+function update() {
+    const next = resolve();
+    if (next === reduced) return;
+
+    reduced = next;
+    apply();
+    subscribers.forEach(listener => {
+        try {
+            listener(reduced);
+        } catch (e) {
+            console.error('Motion: subscriber failed', e);
+        }
+    });
+}
+
+export function isMotionReduced() {
+    return reduced;
+}
+
+export function getMotionPreference() {
+    return preference;
+}
+
+// 'system' follows prefers-reduced-motion; 'reduce' and 'full' override it
+export function setMotionPreference(next) {
+    if (!MOTION_PREFERENCES.includes(next)) {
+        throw new Error(`Motion: unknown preference ${JSON.stringify(next)}`);
+    }
+
+    preference = next;
+    try {
+        if (next === 'system') localStorage.removeItem(STORAGE_KEY);
+        else localStorage.setItem(STORAGE_KEY, next);
+    } catch (e) {
+        console.warn('Motion: could not persist preference', e);
+    }
+    update();
+}
+
+// Turns reduced motion on or off, only storing an override when that differs
+// from the OS setting
+export function setMotionReduced(value) {
+    setMotionPreference(value === mediaQuery.matches ? 'system' : value ? 'reduce' : 'full');
+}
+
+// Calls `listener(reduced)` whenever the resolved policy changes; returns an
+// unsubscribe function
+export function subscribeMotion(listener) {
+    subscribers.add(listener);
+    return () => subscribers.delete(listener);
+}
+
+mediaQuery.addEventListener('change', update);
+
+// Same as the theme: `storage` only fires in the other tabs
+window.addEventListener('storage', (e) => {
+    if (e.key !== STORAGE_KEY && e.key !== null) return;
+    preference = loadPreference();
+    update();
+});
@@ -0,0 +1,31 @@
+import { isMotionReduced, setMotionReduced, subscribeMotion } from './motion-policy.js';
+
+// --- Motion Toggle ---
+// Adds a "reduce motion" switch to the theme options panel. It starts from the
+// OS setting and overrides it (see motion-policy.js). Returns a function that
+// stops following policy changes.
+export function initMotionToggle(root = document) {
+    const options = root.querySelector('.theme-options');
+    if (!options) return () => {};
+
+    const button = document.createElement('button');
+    button.className = 'motion-toggle';
+    button.title = 'Reduce Motion';
+    button.setAttribute('aria-label', 'Reduce motion');
+    button.innerHTML = `
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <path d="M2 12h4l3-8 6 16 3-8h4"></path>
+        </svg>
+    `;
+
+    function render(reduced) {
+        button.setAttribute('aria-pressed', String(reduced));
+        button.classList.toggle('active', reduced);
+    }
+
+    button.addEventListener('click', () => setMotionReduced(!isMotionReduced()));
+
+    options.appendChild(button);
+    render(isMotionReduced());
+    return subscribeMotion(render);
+}
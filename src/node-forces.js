@@ -0,0 +1,178 @@
+// --- Node Forces ---
+// Keeps floating nodes apart and inside a box, for any number of nodes.
+// Each step:
+//   1. A spatial hash with cells `spacing` wide finds the pairs that can be
+//      close: a body is only compared with bodies in its own and the 26
+//      neighbouring cells, so the cost grows with the node count, not with
+//      the number of pairs.
+//   2. Pairs closer than `spacing` push apart (`repulsion` per unit of
+//      overlap); linked pairs are held `linkLength` apart by a spring
+//      (`linkStiffness`), so related bodies cluster; bodies outside `bounds`
+//      are pulled back by a spring (`boundsStiffness` per unit outside)
+//      instead of being clamped.
+//   3. Semi-implicit Euler: velocities take the forces, speed above
+//      `cruiseSpeed` bleeds off at `drag` and is capped at `maxSpeed`, then
+//      positions move by the new velocities.
+// Bodies are { position, velocity } (Vector3s, updated in place) and may be
+// `fixed`: fixed bodies still push and pull the others but do not move.
+
+export const NODE_FORCE_DEFAULTS = {
+    spacing: 9,         // Distance at which bodies start pushing each other (units)
+    repulsion: 3.6,     // Push per unit of overlap (units/s²)
+    linkLength: 11,     // Rest length of the spring between linked bodies (units)
+    linkStiffness: 0.12, // Pull per unit away from linkLength (units/s²)
+    bounds: { min: [-14, -7, -10], max: [14, 7, 5] },
+    boundsStiffness: 0.6, // Pull back per unit outside the bounds (units/s²)
+    cruiseSpeed: 0.08,  // Speed bodies keep drifting at (units/s)
+    drag: 1.5,          // How quickly speed above cruiseSpeed fades (per second)
+    maxSpeed: 1.2       // Hard cap (units/s)
+};
+
+// Cells are packed into one integer key; 1024 cells per axis is far more than
+// any layout spans, and a wrapped key only costs a few extra distance checks
+function cellKey(x, y, z) {
+    return ((x & 1023) << 20) | ((y & 1023) << 10) | (z & 1023);
+}
+
+export function createNodeForces(options = {}) {
+    const config = { ...NODE_FORCE_DEFAULTS, ...options };
+    const cells = new Map(); // Cell key -> indices of the bodies in it
+    const spareLists = []; // Emptied index lists, reused next step
+
+    function cellOf(value) {
+        return Math.floor(value / config.spacing);
+    }
+
+    function buildHash(bodies) {
+        cells.forEach(list => {
+            list.length = 0;
+            spareLists.push(list);
+        });
+        cells.clear();
+
+        bodies.forEach(({ position }, index) => {
+            const key = cellKey(cellOf(position.x), cellOf(position.y), cellOf(position.z));
+            let list = cells.get(key);
+            if (!list) {
+                list = spareLists.pop() || [];
+                cells.set(key, list);
+            }
+            list.push(index);
+        });
+    }
+
+    function repel(a, b, delta) {
+        if (a.fixed && b.fixed) return;
+
+        const dx = a.position.x - b.position.x;
+        const dy = a.position.y - b.position.y;
+        const dz = a.position.z - b.position.z;
+        const distSq = dx * dx + dy * dy + dz * dz;
+        if (distSq >= config.spacing * config.spacing) return;
+
+        // Bodies on the same spot get pushed apart along x
+        const dist = Math.sqrt(distSq);
+        const nx = dist > 1e-6 ? dx / dist : 1;
+        const ny = dist > 1e-6 ? dy / dist : 0;
+        const nz = dist > 1e-6 ? dz / dist : 0;
+        const impulse = config.repulsion * (config.spacing - dist) * delta;
+
+        if (!a.fixed) {
+            a.velocity.x += nx * impulse;
+            a.velocity.y += ny * impulse;
+            a.velocity.z += nz * impulse;
+        }
+        if (!b.fixed) {
+            b.velocity.x -= nx * impulse;
+            b.velocity.y -= ny * impulse;
+            b.velocity.z -= nz * impulse;
+        }
+    }
+
+    function applyRepulsion(bodies, delta) {
+        buildHash(bodies);
+
+        bodies.forEach((body, i) => {
+            const cx = cellOf(body.position.x);
+            const cy = cellOf(body.position.y);
+            const cz = cellOf(body.position.z);
+
+            for (let x = cx - 1; x <= cx + 1; x++) {
+                for (let y = cy - 1; y <= cy + 1; y++) {
+                    for (let z = cz - 1; z <= cz + 1; z++) {
+                        const list = cells.get(cellKey(x, y, z));
+                        if (!list) continue;
+                        // Each pair once: only look at bodies after this one
+                        list.forEach(j => {
+                            if (j > i) repel(body, bodies[j], delta);
+                        });
+                    }
+                }
+            }
+        });
+    }
+
+    function applyLinks(bodies, links, delta) {
+        links.forEach(([i, j]) => {
+            const a = bodies[i];
+            const b = bodies[j];
+            if (a.fixed && b.fixed) return;
+
+            const dx = b.position.x - a.position.x;
+            const dy = b.position.y - a.position.y;
+            const dz = b.position.z - a.position.z;
+            const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (dist < 1e-6) return; // Repulsion separates them first
+
+            // Positive pulls together, negative pushes apart
+            const impulse = config.linkStiffness * (dist - config.linkLength) * delta / dist;
+            if (!a.fixed) {
+                a.velocity.x += dx * impulse;
+                a.velocity.y += dy * impulse;
+                a.velocity.z += dz * impulse;
+            }
+            if (!b.fixed) {
+                b.velocity.x -= dx * impulse;
+                b.velocity.y -= dy * impulse;
+                b.velocity.z -= dz * impulse;
+            }
+        });
+    }
+
+    function applyBounds(body, delta) {
+        const { min, max } = config.bounds;
+        ['x', 'y', 'z'].forEach((axis, a) => {
+            const value = body.position[axis];
+            const outside = value < min[a] ? value - min[a] : value > max[a] ? value - max[a] : 0;
+            body.velocity[axis] -= outside * config.boundsStiffness * delta;
+        });
+    }
+
+    function limitSpeed(velocity, delta) {
+        let speed = velocity.length();
+        if (speed > config.cruiseSpeed) {
+            speed = config.cruiseSpeed + (speed - config.cruiseSpeed) * Math.exp(-config.drag * delta);
+        }
+        velocity.setLength(Math.min(speed, config.maxSpeed));
+    }
+
+    // Advances every body by `delta` seconds. `links` are [i, j] index pairs
+    // into `bodies`.
+    function step(bodies, delta, links = []) {
+        if (delta <= 0) return;
+        applyRepulsion(bodies, delta);
+        applyLinks(bodies, links, delta);
+
+        bodies.forEach(body => {
+            if (body.fixed) return;
+            applyBounds(body, delta);
+            limitSpeed(body.velocity, delta);
+            body.position.addScaledVector(body.velocity, delta);
+        });
+    }
+
+    return {
+        config,
+        step
+    };
+}
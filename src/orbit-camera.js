@@ -0,0 +1,205 @@
+import * as THREE from 'three';
+import { createListenerRegistry } from './scene-lifecycle.js';
+import { damp, dampVector } from './smoothing.js';
+
+// --- Orbit Camera ---
+// Orbit (drag), pan (right or shift drag, two fingers) and zoom (wheel, pinch)
+// around a target point. Input only moves the goal values; the camera eases
+// toward them with damp() (see smoothing.js), so it glides to a stop at any
+// frame rate. flyTo() moves the same goals at the slower `flySmoothing` rate,
+// so flights and user input blend instead of fighting.
+//
+// The scenes' canvases don't take pointer events, so input is read from the
+// window; presses on page content (`isContent(target)`) are left alone. A
+// press that doesn't move past `tapDistance` pixels is reported as a tap
+// through `onTap(clientX, clientY)` instead.
+
+export const ORBIT_DEFAULTS = {
+    rotateSpeed: 0.005,  // Radians per pixel dragged
+    zoomSpeed: 0.0015,   // Share of the distance per wheel pixel
+    minDistance: 3,
+    maxDistance: 90,
+    minPolarAngle: 0.2,  // Radians from straight up; keeps the camera off the poles
+    maxPolarAngle: Math.PI - 0.2,
+    smoothing: 8,        // Rate toward goals set by input (per second)
+    flySmoothing: 2.5,   // Rate toward goals set by flyTo()
+    tapDistance: 5       // Pixels a press may travel and still count as a tap
+};
+
+export function createOrbitCamera(camera, { isContent = () => false, onTap = () => {}, ...options } = {}) {
+    const config = { ...ORBIT_DEFAULTS, ...options };
+    const listeners = createListenerRegistry();
+
+    // Current and goal state: the point looked at plus the camera's offset from it
+    const target = new THREE.Vector3();
+    const spherical = new THREE.Spherical().setFromVector3(camera.position);
+    const goalTarget = new THREE.Vector3();
+    const goal = spherical.clone();
+    let rate = config.smoothing;
+
+    const offset = new THREE.Vector3();
+    const panX = new THREE.Vector3();
+    const panY = new THREE.Vector3();
+
+    function clampGoal() {
+        goal.radius = THREE.MathUtils.clamp(goal.radius, config.minDistance, config.maxDistance);
+        goal.phi = THREE.MathUtils.clamp(goal.phi, config.minPolarAngle, config.maxPolarAngle);
+    }
+
+    // --- Input ---
+    function rotate(dx, dy) {
+        goal.theta -= dx * config.rotateSpeed;
+        goal.phi -= dy * config.rotateSpeed;
+        rate = config.smoothing;
+        clampGoal();
+    }
+
+    // Moves the target so the point under the pointer stays under it
+    function pan(dx, dy) {
+        const worldPerPixel = 2 * spherical.radius * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) /
+            window.innerHeight;
+        panX.setFromMatrixColumn(camera.matrix, 0).multiplyScalar(-dx * worldPerPixel);
+        panY.setFromMatrixColumn(camera.matrix, 1).multiplyScalar(dy * worldPerPixel);
+        goalTarget.add(panX).add(panY);
+        rate = config.smoothing;
+    }
+
+    function zoom(scale) {
+        goal.radius *= scale;
+        rate = config.smoothing;
+        clampGoal();
+    }
+
+    let press = null; // { x, y, lastX, lastY, mode, moved }
+
+    function startPress(x, y, mode) {
+        press = { x, y, lastX: x, lastY: y, mode, moved: false };
+    }
+
+    function movePress(x, y) {
+        if (!press) return;
+        if (!press.moved && Math.hypot(x - press.x, y - press.y) > config.tapDistance) press.moved = true;
+        if (press.moved) {
+            const dx = x - press.lastX;
+            const dy = y - press.lastY;
+            if (press.mode === 'pan') pan(dx, dy);
+            else rotate(dx, dy);
+        }
+        press.lastX = x;
+        press.lastY = y;
+    }
+
+    function endPress() {
+        if (press && !press.moved) onTap(press.x, press.y);
+        press = null;
+    }
+
+    listeners.on(window, 'mousedown', (e) => {
+        if (isContent(e.target)) return;
+        startPress(e.clientX, e.clientY, e.button === 2 || e.shiftKey ? 'pan' : 'rotate');
+    });
+    listeners.on(window, 'mousemove', (e) => movePress(e.clientX, e.clientY));
+    listeners.on(window, 'mouseup', endPress);
+    listeners.on(window, 'contextmenu', (e) => {
+        if (!isContent(e.target)) e.preventDefault(); // Right drag pans
+    });
+
+    listeners.on(window, 'wheel', (e) => {
+        if (isContent(e.target)) return;
+        e.preventDefault();
+        zoom(Math.exp(e.deltaY * config.zoomSpeed));
+    }, { passive: false });
+
+    // One finger orbits; two pan with their midpoint and zoom with their spread
+    let pinchDistance = 0;
+
+    function touchCenter(touches) {
+        return [(touches[0].clientX + touches[1].clientX) / 2, (touches[0].clientY + touches[1].clientY) / 2];
+    }
+
+    function touchSpread(touches) {
+        return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+    }
+
+    listeners.on(window, 'touchstart', (e) => {
+        if (isContent(e.target)) return;
+        if (e.touches.length === 1) {
+            startPress(e.touches[0].clientX, e.touches[0].clientY, 'rotate');
+        } else if (e.touches.length === 2) {
+            startPress(...touchCenter(e.touches), 'pan');
+            press.moved = true; // A two-finger gesture is never a tap
+            pinchDistance = touchSpread(e.touches);
+        }
+    }, { passive: false });
+
+    listeners.on(window, 'touchmove', (e) => {
+        if (!press) return;
+        e.preventDefault(); // The gesture drives the camera, not page scrolling
+
+        if (press.mode === 'pan' && e.touches.length === 2) {
+            movePress(...touchCenter(e.touches));
+            const spread = touchSpread(e.touches);
+            if (pinchDistance > 0 && spread > 0) zoom(pinchDistance / spread);
+            pinchDistance = spread;
+        } else if (press.mode === 'rotate' && e.touches.length === 1) {
+            movePress(e.touches[0].clientX, e.touches[0].clientY);
+        }
+    }, { passive: false });
+
+    listeners.on(window, 'touchend', (e) => {
+        if (e.touches.length === 0) endPress();
+    });
+
+    // --- Flights ---
+    // Eases to look at `point` from `distance` away; `direction` (from the point
+    // toward the camera) keeps the current viewing angle when left out
+    function flyTo(point, { distance = goal.radius, direction = null } = {}) {
+        goalTarget.copy(point);
+        goal.radius = distance;
+        if (direction) {
+            const angles = new THREE.Spherical().setFromVector3(direction);
+            // Turn the short way round, however far the user has orbited
+            goal.theta = angles.theta + Math.round((spherical.theta - angles.theta) / (Math.PI * 2)) * Math.PI * 2;
+            goal.phi = angles.phi;
+        }
+        clampGoal();
+        rate = config.flySmoothing;
+    }
+
+    // How far the camera still is from its goal (target plus distance)
+    function distanceToGoal() {
+        return target.distanceTo(goalTarget) + Math.abs(spherical.radius - goal.radius);
+    }
+
+    // --- Frame ---
+    // Eases toward the goals (or jumps there with `snap`, e.g. for reduced
+    // motion); returns true while the camera is still moving
+    function update(delta, snap = false) {
+        if (snap) {
+            target.copy(goalTarget);
+            spherical.copy(goal);
+        } else {
+            dampVector(target, goalTarget, rate, delta);
+            spherical.radius = damp(spherical.radius, goal.radius, rate, delta);
+            spherical.theta = damp(spherical.theta, goal.theta, rate, delta);
+            spherical.phi = damp(spherical.phi, goal.phi, rate, delta);
+        }
+
+        offset.setFromSpherical(spherical);
+        camera.position.copy(target).add(offset);
+        camera.lookAt(target);
+
+        return distanceToGoal() > 0.01 ||
+            Math.abs(spherical.theta - goal.theta) > 1e-4 ||
+            Math.abs(spherical.phi - goal.phi) > 1e-4;
+    }
+
+    return {
+        target,
+        flyTo,
+        distanceToGoal,
+        update,
+        get isDragging() { return press !== null && press.moved; },
+        dispose: listeners.removeAll
+    };
+}
@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+import { createListenerRegistry } from './scene-lifecycle.js';
+
+// --- Picking ---
+// Hover and click hit-testing shared by the scenes. Each interactive object is
+// registered with a cheap proxy instead of being raycast against its real
+// geometry:
+//   - 'sphere' (default): the object's bounding sphere, optionally with a fixed radius
+//   - an Object3D: a low-poly hit mesh, attached to the object and never drawn;
+//     with `billboard: true` it is turned to face the camera before each test,
+//     for objects that face the camera in their shader (sprites)
+// The picker follows the pointer itself; hover picking runs at most once per
+// `interval` ms, from the scene's frame loop.
+
+export const DEFAULT_PICK_INTERVAL = 50;
+
+export function createPicker(camera, { interval = DEFAULT_PICK_INTERVAL } = {}) {
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const entries = [];
+    const sphere = new THREE.Sphere();
+    const hitPoint = new THREE.Vector3();
+    const worldPosition = new THREE.Vector3();
+    const worldRotation = new THREE.Quaternion();
+    const worldScale = new THREE.Vector3();
+    const listeners = createListenerRegistry();
+
+    let hasPointer = false;
+    let pointerMoved = false;
+    let lastPick = -Infinity;
+    let hovered = null;
+
+    // --- Registration ---
+    // `target` is what picks report (e.g. a node group for both its crystal and
+    // label). `onEnter` / `onLeave` fire when the hovered target changes.
+    function add(object, { proxy = 'sphere', radius, billboard = false, target = object, onEnter, onLeave } = {}) {
+        if (proxy !== 'sphere') {
+            proxy.visible = false; // Raycasting ignores visibility, rendering doesn't
+            object.add(proxy);
+        } else if (radius === undefined) {
+            if (!object.geometry.boundingSphere) object.geometry.computeBoundingSphere();
+        }
+
+        const entry = { object, proxy, radius, billboard, target, onEnter, onLeave };
+        entries.push(entry);
+        return entry;
+    }
+
+    function remove(object) {
+        const index = entries.findIndex(entry => entry.object === object);
+        if (index === -1) return;
+
+        const [entry] = entries.splice(index, 1);
+        if (entry.proxy !== 'sphere') object.remove(entry.proxy);
+        if (hovered === entry) setHovered(null);
+    }
+
+    // --- Hit Testing ---
+    function isShown(object) {
+        for (let obj = object; obj; obj = obj.parent) {
+            if (!obj.visible) return false;
+        }
+        return true;
+    }
+
+    // Places the proxy like a sprite: the object's position and scale, the
+    // camera's rotation. Raycasting reads matrixWorld as is, and the next scene
+    // update restores it.
+    function faceCamera(object, proxy) {
+        object.updateWorldMatrix(true, false);
+        object.matrixWorld.decompose(worldPosition, worldRotation, worldScale);
+        proxy.matrixWorld.compose(worldPosition, camera.quaternion, worldScale);
+    }
+
+    function distanceTo(entry) {
+        const { object, proxy, radius } = entry;
+
+        if (proxy !== 'sphere') {
+            if (entry.billboard) faceCamera(object, proxy);
+            const hits = raycaster.intersectObject(proxy, false);
+            return hits.length > 0 ? hits[0].distance : Infinity;
+        }
+
+        if (radius === undefined) {
+            sphere.copy(object.geometry.boundingSphere).applyMatrix4(object.matrixWorld);
+        } else {
+            sphere.set(object.getWorldPosition(sphere.center), radius);
+        }
+        return raycaster.ray.intersectSphere(sphere, hitPoint) ? raycaster.ray.origin.distanceTo(hitPoint) : Infinity;
+    }
+
+    // Nearest shown entry under normalized device coordinates `ndc`
+    function hitTest(ndc) {
+        raycaster.setFromCamera(ndc, camera);
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        entries.forEach(entry => {
+            if (!isShown(entry.object)) return;
+            const distance = distanceTo(entry);
+            if (distance < nearestDistance) {
+                nearest = entry;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    function toNdc(clientX, clientY, target) {
+        return target.set((clientX / window.innerWidth) * 2 - 1, -(clientY / window.innerHeight) * 2 + 1);
+    }
+
+    function setHovered(entry) {
+        const previous = hovered;
+        hovered = entry;
+        if (previous && previous.target === (entry && entry.target)) return;
+
+        if (previous && previous.onLeave) previous.onLeave(previous.target);
+        if (entry && entry.onEnter) entry.onEnter(entry.target);
+    }
+
+    // --- Pointer Tracking ---
+    listeners.on(window, 'pointermove', (event) => {
+        toNdc(event.clientX, event.clientY, pointer);
+        hasPointer = true;
+        pointerMoved = true;
+    }, { passive: true });
+
+    listeners.on(document.documentElement, 'pointerleave', () => {
+        hasPointer = false;
+        setHovered(null);
+    });
+
+    // --- Public API ---
+    // Immediate pick for clicks and taps; returns the target or null
+    function pick(clientX, clientY) {
+        const entry = hitTest(toNdc(clientX, clientY, new THREE.Vector2()));
+        return entry ? entry.target : null;
+    }
+
+    // Throttled hover pick. Call once per frame; returns true when the hovered
+    // target changed so the scene knows to keep rendering.
+    function update(now = performance.now()) {
+        if (!hasPointer) return false;
+        // Objects drift under a still pointer too, just not quickly
+        if (!pointerMoved && now - lastPick < interval * 4) return false;
+        if (now - lastPick < interval) return false;
+
+        lastPick = now;
+        pointerMoved = false;
+
+        const previousTarget = hovered && hovered.target;
+        setHovered(hitTest(pointer));
+        return (hovered && hovered.target) !== previousTarget;
+    }
+
+    // Proxy meshes stay in the scene graph so disposeObject() frees them with the rest
+    function dispose() {
+        listeners.removeAll();
+        entries.length = 0;
+        hovered = null;
+    }
+
+    return {
+        add,
+        remove,
+        pick,
+        update,
+        dispose,
+        get hovered() { return hovered ? hovered.target : null; }
+    };
+}
@@ -0,0 +1,129 @@
+// --- Adaptive Quality ---
+// Samples frame times while a scene is animating and steps through quality
+// tiers: down when frames are consistently slow, back up when they are
+// consistently fast. Hysteresis keeps it from flipping between two tiers:
+//   - the slow and fast thresholds are far apart
+//   - decisions need a full window of samples, taken after the new tier settles
+//   - after stepping down, stepping up again waits out a cooldown, which doubles
+//     every time an upgrade has to be taken back
+
+// Ordered from cheapest to most expensive. `pixelRatio` is capped by the
+// display's devicePixelRatio; `bloomScale` is the bloom resolution relative to
+// the canvas; `particleFraction` is the share of particles drawn; `antialias`
+// is the MSAA sample count of the scene pass.
+export const QUALITY_TIERS = [
+    { name: 'low', pixelRatio: 0.75, bloomScale: 0.25, bloomStrength: 0.7, particleFraction: 0.25, antialias: 0 },
+    { name: 'medium', pixelRatio: 1, bloomScale: 0.5, bloomStrength: 0.85, particleFraction: 0.5, antialias: 0 },
+    { name: 'high', pixelRatio: 1.5, bloomScale: 0.75, bloomStrength: 1, particleFraction: 0.75, antialias: 4 },
+    { name: 'ultra', pixelRatio: 2, bloomScale: 1, bloomStrength: 1, particleFraction: 1, antialias: 4 }
+];
+
+export const QUALITY_DEFAULTS = {
+    slowFrameTime: 1 / 40, // Step down when the average frame takes longer (seconds)
+    fastFrameTime: 1 / 56, // Step up when it is faster than this
+    sampleSize: 90, // Frames averaged per decision
+    settleFrames: 30, // Frames ignored after a change (shader and buffer rebuilds)
+    upgradeCooldown: 8 // Seconds before an upgrade is tried after stepping down
+};
+
+// Frames longer than this are stalls (tab switches, GC, shader compiles), not load
+const MAX_SAMPLE = 0.25;
+
+// `apply(tier)` pushes a tier's settings into the scene. It runs once right away.
+// `pinned` names a tier to hold instead of adapting.
+export function createQualityManager({ apply, tiers = QUALITY_TIERS, pinned = null, ...options }) {
+    const config = { ...QUALITY_DEFAULTS, ...options };
+
+    let index = tiers.length - 1;
+    let isPinned = false;
+    let samples = 0;
+    let total = 0;
+    let settle = config.settleFrames;
+    let cooldown = 0; // Seconds left before an upgrade is allowed
+    let penalty = config.upgradeCooldown;
+    let lastChange = 0; // +1 after an upgrade, -1 after a downgrade
+
+    function findTier(name) {
+        const found = tiers.findIndex(tier => tier.name === name);
+        if (found === -1) throw new Error(`Quality: unknown tier "${name}"`);
+        return found;
+    }
+
+    function resetWindow() {
+        samples = 0;
+        total = 0;
+        settle = config.settleFrames;
+    }
+
+    function setTier(newIndex) {
+        index = newIndex;
+        resetWindow();
+        apply(tiers[index]);
+    }
+
+    function step(direction) {
+        const next = index + direction;
+        if (next < 0 || next >= tiers.length) return;
+
+        if (direction < 0) {
+            // An upgrade that didn't hold means this tier is the limit for a while longer
+            if (lastChange > 0) penalty *= 2;
+            cooldown = penalty;
+        }
+        lastChange = direction;
+        setTier(next);
+    }
+
+    // Call once per rendered frame with its duration in seconds
+    function sample(delta) {
+        if (isPinned) return;
+        cooldown = Math.max(0, cooldown - delta);
+        if (delta > MAX_SAMPLE) return;
+        if (settle > 0) {
+            settle--;
+            return;
+        }
+
+        samples++;
+        total += delta;
+        if (samples < config.sampleSize) return;
+
+        const average = total / samples;
+        resetWindow();
+
+        if (average > config.slowFrameTime) step(-1);
+        else if (average < config.fastFrameTime && cooldown === 0) step(1);
+    }
+
+    // Holds a tier (by name) until unpin() is called
+    function pin(name) {
+        isPinned = true;
+        setTier(findTier(name));
+    }
+
+    function unpin() {
+        isPinned = false;
+        resetWindow();
+    }
+
+    if (pinned) pin(pinned);
+    else setTier(index);
+
+    return {
+        sample,
+        pin,
+        unpin,
+        get tier() { return tiers[index]; },
+        get isPinned() { return isPinned; }
+    };
+}
+
+// Applies the renderer-level settings of a tier to a scene using selective bloom
+export function applyRenderQuality(renderer, bloom, tier) {
+    const pixelRatio = Math.min(window.devicePixelRatio, tier.pixelRatio);
+    renderer.setPixelRatio(pixelRatio);
+    bloom.setResolutionScale(tier.bloomScale);
+    bloom.setPixelRatio(pixelRatio);
+    bloom.setStrengthScale(tier.bloomStrength);
+    bloom.setAntialias(tier.antialias);
+}
@@ -0,0 +1,95 @@
+// --- Seeded Randomness ---
+// Scenes draw every random layout decision from a seeded PRNG, so one seed
+// reproduces a composition exactly (screenshots, bug reports, a layout a
+// designer wants to keep). Seeds are 32-bit unsigned integers; strings are
+// hashed to one.
+//
+// A scene uses, in order: its `seed` option, the seed locked for it with
+// `controller.lockSeed()`, or a fresh random seed. Locked seeds are kept in
+// localStorage 'scene-seeds' as { [scene]: seed }.
+
+const SEED_RANGE = 4294967296; // 2^32
+const STORAGE_KEY = 'scene-seeds';
+
+// mulberry32: small and fast, fine for layouts (not for anything secure)
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+    };
+}
+
+// Numbers and digit strings are used as is, other strings are hashed (FNV-1a)
+export function normalizeSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value >>> 0;
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(`Random: seed must be a number or string, got ${JSON.stringify(value)}`);
+    }
+
+    const text = value.trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// A seed drawn from `random`, for a sub-generator or a worker request
+export function deriveSeed(random = Math.random) {
+    return Math.floor(random() * SEED_RANGE);
+}
+
+// --- Locked Seeds ---
+function readLockedSeeds() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (e) {
+        return {}; // Missing, malformed or storage unavailable
+    }
+}
+
+function writeLockedSeed(scene, seed) {
+    const seeds = readLockedSeeds();
+    if (seed === null) delete seeds[scene];
+    else seeds[scene] = seed;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(seeds));
+    } catch (e) {
+        console.warn('Random: could not persist seed', e);
+    }
+}
+
+export function resolveSeed(scene, seed) {
+    if (seed !== undefined && seed !== null) return normalizeSeed(seed);
+
+    const locked = readLockedSeeds()[scene];
+    return Number.isInteger(locked) ? locked >>> 0 : deriveSeed();
+}
+
+// Adds controller members for a scene's seed to `api`: `seed`, `lockSeed()`
+// keeps it for future loads, `unlockSeed()` goes back to a fresh layout every
+// load and `isSeedLocked` tells whether this seed is the locked one. Defined
+// on `api` rather than spread into it, so the getter stays live.
+export function seedControls(scene, seed, api = {}) {
+    return Object.defineProperties(api, Object.getOwnPropertyDescriptors({
+        seed,
+        lockSeed: () => writeLockedSeed(scene, seed),
+        unlockSeed: () => writeLockedSeed(scene, null),
+        get isSeedLocked() { return readLockedSeeds()[scene] === seed; }
+    }));
+}
+
+// ?seed= on the page URL, for reproducing a reported layout (undefined if unset or empty)
+export function readUrlSeed(url = location) {
+    const value = new URLSearchParams(url.search).get('seed');
+    return value && value.trim() ? value : undefined;
+}
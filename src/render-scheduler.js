@@ -0,0 +1,115 @@
+// --- On-Demand Render Scheduler ---
+// Replaces the always-on requestAnimationFrame loop with a "dirty" flag system.
+// Frames are only produced while something asks for them:
+//   - invalidate() was called recently (input, theme change, resize...)
+//   - update() reports an animation or physics step that hasn't settled
+// Once nothing has asked for a frame within `idleThreshold` ms the loop drops
+// to at most `ambientFrameRate` while `ambient()` reports background motion
+// (idle spin, drift...), and sleeps otherwise. It is fully suspended while the
+// tab is hidden.
+
+export const DEFAULT_IDLE_THRESHOLD = 4000;
+export const DEFAULT_AMBIENT_FRAME_RATE = 30;
+
+export function createRenderScheduler({
+    clock,
+    update,
+    render,
+    idleThreshold = DEFAULT_IDLE_THRESHOLD,
+    ambient = () => false,
+    ambientFrameRate = DEFAULT_AMBIENT_FRAME_RATE
+}) {
+    let frameId = null;
+    let ambientTimer = null; // Pending low-rate frame while idle
+    let elapsed = 0;
+    let lastActivity = performance.now();
+    let paused = false;
+    let disposed = false;
+
+    function canRun() {
+        return !paused && !disposed && !document.hidden;
+    }
+
+    function schedule() {
+        if (frameId === null && canRun()) frameId = requestAnimationFrame(tick);
+    }
+
+    function scheduleAmbient() {
+        if (ambientTimer !== null || !canRun()) return;
+        ambientTimer = setTimeout(() => {
+            ambientTimer = null;
+            schedule();
+        }, 1000 / ambientFrameRate);
+    }
+
+    function cancel() {
+        clearTimeout(ambientTimer);
+        ambientTimer = null;
+        if (frameId === null) return;
+        cancelAnimationFrame(frameId);
+        frameId = null;
+    }
+
+    function tick(now) {
+        frameId = null;
+
+        const delta = clock.getDelta();
+        elapsed += delta;
+
+        // update() returns true while it still has motion to play out
+        if (update(elapsed, delta)) lastActivity = now;
+        render();
+
+        if (now - lastActivity < idleThreshold) schedule();
+        else if (ambient()) scheduleAmbient();
+    }
+
+    // Wakes the loop (or keeps it awake) for another idle window
+    function invalidate() {
+        lastActivity = performance.now();
+        if (frameId !== null) return;
+
+        if (ambientTimer !== null) {
+            // Running at the ambient rate: no time to discard, just speed up
+            clearTimeout(ambientTimer);
+            ambientTimer = null;
+        } else {
+            clock.getDelta(); // Discard the time spent asleep so animations don't jump
+        }
+        schedule();
+    }
+
+    function onVisibilityChange() {
+        if (document.hidden) cancel();
+        else invalidate();
+    }
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    function pause() {
+        paused = true;
+        cancel();
+    }
+
+    function resume() {
+        if (!paused) return;
+        paused = false;
+        invalidate();
+    }
+
+    function dispose() {
+        disposed = true;
+        cancel();
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+    }
+
+    invalidate();
+
+    return {
+        invalidate,
+        pause,
+        resume,
+        dispose,
+        get isPaused() { return paused; },
+        get isSleeping() { return frameId === null && ambientTimer === null; }
+    };
+}
@@ -0,0 +1,119 @@
+import { createRenderScheduler } from './render-scheduler.js';
+
+// --- Scene Lifecycle Helpers ---
+// Shared by scene.js, docs-scene.js and details-scene.js so each init function
+// can hand back a controller that tears down everything it created.
+
+// Tracks every listener a scene adds so they can all be removed in one call
+export function createListenerRegistry() {
+    const entries = [];
+
+    function on(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        entries.push({ target, type, handler, options });
+    }
+
+    function removeAll() {
+        entries.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        entries.length = 0;
+    }
+
+    return { on, removeAll };
+}
+
+// Walks the scene graph and disposes geometries, materials and their textures.
+// Shared resources (e.g. one geometry used by several meshes) are only disposed once.
+export function disposeObject(root) {
+    const geometries = new Set();
+    const materials = new Set();
+    const textures = new Set();
+
+    root.traverse(obj => {
+        if (obj.geometry) geometries.add(obj.geometry);
+        if (obj.material) [].concat(obj.material).forEach(mat => materials.add(mat));
+    });
+
+    materials.forEach(mat => {
+        Object.values(mat).forEach(value => {
+            if (value && value.isTexture) textures.add(value);
+        });
+        // ShaderMaterial keeps its textures inside uniforms
+        if (mat.uniforms) {
+            Object.values(mat.uniforms).forEach(uniform => {
+                if (uniform.value && uniform.value.isTexture) textures.add(uniform.value);
+            });
+        }
+        mat.dispose();
+    });
+
+    geometries.forEach(geo => geo.dispose());
+    textures.forEach(tex => tex.dispose());
+}
+
+// EffectComposer.dispose() only frees its own render targets, not the passes
+export function disposeComposer(composer) {
+    composer.passes.forEach(pass => pass.dispose());
+    composer.dispose();
+}
+
+// Releases the WebGL context and detaches the canvas from the page
+export function disposeRenderer(renderer) {
+    renderer.dispose();
+    renderer.forceContextLoss();
+    renderer.domElement.remove();
+}
+
+// Input that should wake a sleeping render loop (see render-scheduler.js)
+const WAKE_EVENTS = ['pointermove', 'pointerdown', 'touchstart', 'touchmove', 'wheel', 'scroll', 'keydown', 'resize'];
+
+// Builds the public controller around the scene's render scheduler.
+// `frame(time, delta)` advances the scene and returns true while it is still
+// animating; `render()` draws it. Time spent paused or asleep is excluded.
+// `ambient()` returns true while the scene has background motion, which keeps
+// the loop running at a lower frame rate once it is idle (see render-scheduler.js).
+// Anything in `api` is exposed on the controller next to pause/resume/dispose.
+// An optional `quality` manager (see quality-manager.js) is fed every frame's
+// duration; `controller.quality` exposes its current tier and pinning.
+export function createSceneController({ clock, frame, render, idleThreshold, ambient, cleanup, quality, api = {} }) {
+    const update = quality ? (time, delta) => {
+        quality.sample(delta);
+        return frame(time, delta);
+    } : frame;
+    const scheduler = createRenderScheduler({ clock, update, render, idleThreshold, ambient });
+    const wakeListeners = createListenerRegistry();
+    let disposed = false;
+
+    WAKE_EVENTS.forEach(type => {
+        wakeListeners.on(window, type, scheduler.invalidate, { passive: true });
+    });
+
+    function dispose() {
+        if (disposed) return;
+        disposed = true;
+        scheduler.dispose();
+        wakeListeners.removeAll();
+        cleanup();
+    }
+
+    const controller = {
+        pause: scheduler.pause,
+        resume: scheduler.resume,
+        invalidate: scheduler.invalidate,
+        dispose,
+        get isPaused() { return scheduler.isPaused; },
+        get isDisposed() { return disposed; },
+        quality: quality && {
+            pin(name) {
+                quality.pin(name);
+                scheduler.invalidate();
+            },
+            unpin: quality.unpin,
+            get tier() { return quality.tier; },
+            get isPinned() { return quality.isPinned; }
+        }
+    };
+    // Copied as descriptors, so getters in `api` stay live
+    return Object.defineProperties(controller, Object.getOwnPropertyDescriptors(api));
+}
@@ -1,39 +1,105 @@
 import * as THREE from 'three';
-import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-
-export function initScene(containerId, initialTheme) {
+import { createParticleField } from './gpu-particles.js';
+import { generateSphereShell } from './geometry-service.js';
+import { createExplosionEffect } from './explosion-effect.js';
+import { createRandom, deriveSeed, resolveSeed, seedControls } from './random.js';
+import { REFERENCE_FPS, dampVector, decay } from './smoothing.js';
+import { addDecayAttribute, createEntropyController, createEntropyMaterial } from './entropy-material.js';
+import {
+    createListenerRegistry,
+    createSceneController,
+    disposeObject,
+    disposeRenderer
+} from './scene-lifecycle.js';
+import { createSelectiveBloom } from './selective-bloom.js';
+import { bloomParamsFor, getTheme, resolveVisuals, subscribeTheme } from './theme-service.js';
+import { createPicker } from './picking.js';
+import { applyRenderQuality, createQualityManager } from './quality-manager.js';
+import { isMotionReduced, subscribeMotion } from './motion-policy.js';
+
+// `initialTheme` ({ color, bg }) is optional: the scene starts from and follows
+// the theme service (see theme-service.js). The theme's 'landing' visuals
+// scale bloom, fog, particle size and opacity, and exposure.
+// `options.idleThreshold` sets how long (ms) the scene keeps rendering at full
+// frame rate after the last input or animation before its render loop slows
+// to the ambient rate or, with nothing moving, goes to sleep.
+// `options.particles` configures the GPU particle field: `count` plus any of the
+// force settings in PARTICLE_FIELD_DEFAULTS (noiseScale, curlWeight, ...).
+// `options.pickInterval` sets how often (ms) hover picking runs (see picking.js).
+// `options.quality` pins a quality tier by name ('low' ... 'ultra'); otherwise
+// the tier adapts to frame times (see quality-manager.js).
+// `options.explosion` overrides CONFIG.explosion (count, minForce/maxForce, duration, respawnDelay, ...).
+// `options.seed` (number or string) reproduces a layout: core decay pattern,
+// particle origins and explosion bursts (see random.js).
+// With reduced motion (see motion-policy.js) parallax and idle spin stop,
+// pointer spin and particle flow are damped and the core no longer explodes;
+// the render loop may then go to sleep, which also pauses the particles.
+// Otherwise the idle spin and particle flow keep the loop running, at a lower
+// frame rate once it is idle (see render-scheduler.js).
+// The returned controller also exposes `entropy` (raise/lower/set/animateTo) for the core
+// and `explode()`, which resolves once the explosion has faded out, plus
+// `seed`, `isSeedLocked`, `lockSeed()` and `unlockSeed()`.
+export function initScene(containerId, initialTheme, options = {}) {
     const container = document.getElementById(containerId);
     if (!container) return;
 
-    // --- Configuration ---
-    // Fallback: Check localStorage directly if initialTheme is missing or empty
-    if (!initialTheme) {
-        try {
-            const saved = localStorage.getItem('theme');
-            if (saved) initialTheme = JSON.parse(saved);
-        } catch (e) {
-            console.warn('Scene: could not parse local theme', e);
-        }
-    }
+    const listeners = createListenerRegistry();
 
-    // Use saved theme for initial colors if available
-    const primaryC = initialTheme ? new THREE.Color(initialTheme.color) : new THREE.Color(0x00ffff);
-    const bgC = initialTheme ? new THREE.Color(initialTheme.bg) : new THREE.Color(0x050505);
+    // --- Configuration ---
+    // Colors come from the theme service unless the caller passes a theme
+    const theme = initialTheme || getTheme();
+    const primaryC = new THREE.Color(theme.color);
+    const bgC = new THREE.Color(theme.bg);
+
+    // Each part of the layout gets its own stream, so changing one (e.g. the
+    // particle count) leaves the others as they were
+    const seed = resolveSeed('landing', options.seed);
+    const layoutRandom = createRandom(seed);
+    const seeds = {
+        core: deriveSeed(layoutRandom),
+        particles: deriveSeed(layoutRandom),
+        field: deriveSeed(layoutRandom),
+        explosion: deriveSeed(layoutRandom)
+    };
 
     const CONFIG = {
-        bloomStrength: 1.5,
-        bloomRadius: 0.4,
-        bloomThreshold: 0.1,
+        // Selective bloom groups, see selective-bloom.js
+        bloom: {
+            core: { strength: 1.5, radius: 0.4, threshold: 0 },
+            particles: { strength: 0.8, radius: 0.5, threshold: 0 }
+        },
+        // Rough handling corrupts the core, which then recovers over time
+        entropy: {
+            gain: 0.07,         // Entropy added per second per rad/s of spin velocity
+            recoveryRate: 0.15  // Entropy removed per second
+        },
+        // Rates are per second, see smoothing.js
+        motion: {
+            cameraSmoothing: 3, // Camera easing between layouts and into the parallax offset
+            hoverSmoothing: 6,  // Core growing and shrinking on hover
+            idleSpin: 0.3,      // Core rotation (rad/s) without input
+            spinDamping: 3,     // How quickly a flicked core slows down
+            parallax: 2,        // Camera offset per unit of normalized pointer position
+            // Share of pointer spin and particle speed kept with reduced motion
+            reducedSpin: 0.2,
+            reducedParticleSpeed: 0.25
+        },
+        // Clicking the core blows it up, see explosion-effect.js for the other settings
+        explosion: {
+            count: 2000,
+            duration: 4,        // Seconds for the burst to fade out
+            respawnDelay: 0     // Seconds between the burst fading and the core returning
+        },
+        fogDensity: 0.03,
         coreColor: primaryC,
         bgColor: bgC
     };
+    let visuals = resolveVisuals(theme, 'landing');
 
     // --- Scene & Camera ---
     const scene = new THREE.Scene();
     scene.background = CONFIG.bgColor;
-    scene.fog = new THREE.FogExp2(CONFIG.bgColor, 0.03);
+    scene.fog = new THREE.FogExp2(CONFIG.bgColor, CONFIG.fogDensity);
 
     const camera = new THREE.PerspectiveCamera(50, window.innerWidth / window.innerHeight, 0.1, 100);
     camera.position.set(2, 0, 14);
@@ -48,102 +114,127 @@ export function initScene(containerId, initialTheme) {
     renderer.toneMappingExposure = 1.0;
     container.appendChild(renderer.domElement);
 
-    // --- 1. Central Energy Core (Wireframe Only) ---
-    const coreGeo = new THREE.IcosahedronGeometry(1.5, 4);
-    const coreMat = new THREE.MeshBasicMaterial({
+    // --- 1. Central Energy Core (Wireframe Only, Entropy Decay) ---
+    const coreGeo = addDecayAttribute(new THREE.IcosahedronGeometry(1.5, 4), createRandom(seeds.core));
+    const coreMat = createEntropyMaterial({
         color: CONFIG.coreColor,
-        wireframe: true,
-        transparent: true,
         opacity: 0.5
     });
     const core = new THREE.Mesh(coreGeo, coreMat);
     scene.add(core);
 
-    // --- 2. Particle System ---
-    const particlesCount = 4000;
-    const posArray = new Float32Array(particlesCount * 3);
-    const randomArray = new Float32Array(particlesCount);
-
-    for (let i = 0; i < particlesCount; i++) {
-        // Wider distribution to cover left side (camera acts at x=-6)
-        const r = 1 + Math.random() * 25;
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
+    const entropy = createEntropyController(coreMat, { recoveryRate: CONFIG.entropy.recoveryRate });
+
+    // --- 2. Particle System (GPU simulated) ---
+    // Origins are generated in a worker; the field is built once they arrive
+    const { count: particlesCount = 100000, ...particleForces } = options.particles || {};
+    let particleField = null;
+    let particlesMat = null;
+
+    function buildParticles({ positions, randoms }) {
+        particleField = createParticleField(renderer, {
+            positions,
+            randoms,
+            spatiallySorted: true,
+            random: createRandom(seeds.field),
+            ...particleForces
+        });
 
-        posArray[i * 3] = r * Math.sin(phi) * Math.cos(theta) - 5;
-        posArray[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
-        posArray[i * 3 + 2] = r * Math.cos(phi);
+        // Position and motion come from the simulation; this material only draws it
+        particlesMat = new THREE.ShaderMaterial({
+            uniforms: {
+                uPositions: particleField.uniforms.uPositions,
+                uColor: { value: new THREE.Color(CONFIG.coreColor) },
+                uSize: { value: visuals.particleSize },
+                uAlpha: { value: 0.8 } // Set by applyParticleQuality()
+            },
+            vertexShader: `
+                uniform sampler2D uPositions;
+                uniform float uSize;
+                uniform float uAlpha;
+                attribute vec2 aReference;
+                attribute float aRandom;
+                varying float vAlpha;
+            
+                void main() {
+                    vec3 pos = texture2D(uPositions, aReference).xyz;
 
-        randomArray[i] = Math.random();
-    }
+                    vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+                    gl_Position = projectionMatrix * mvPosition;
+                
+                    gl_PointSize = (4.0 * aRandom + 1.0) * uSize * (20.0 / -mvPosition.z);
+                    vAlpha = uAlpha;
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 uColor;
+                varying float vAlpha;
+            
+                void main() {
+                    float r = distance(gl_PointCoord, vec2(0.5));
+                    if (r > 0.5) discard;
+                    float strength = 1.0 - (r * 2.0);
+                    strength = pow(strength, 2.0);
+                    gl_FragColor = vec4(uColor, strength * vAlpha);
+                }
+            `,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
 
-    const particlesGeo = new THREE.BufferGeometry();
-    particlesGeo.setAttribute('position', new THREE.BufferAttribute(posArray, 3));
-    particlesGeo.setAttribute('aRandom', new THREE.BufferAttribute(randomArray, 1));
+        const particles = new THREE.Points(particleField.geometry, particlesMat);
+        particles.frustumCulled = false; // Real positions only exist on the GPU
+        bloom.add(particles, 'particles');
+        scene.add(particles);
 
-    const particlesMat = new THREE.ShaderMaterial({
-        uniforms: {
-            uTime: { value: 0 },
-            uColor: { value: new THREE.Color(CONFIG.coreColor) }
-        },
-        vertexShader: `
-            uniform float uTime;
-            attribute float aRandom;
-            varying float vAlpha;
-            
-            void main() {
-                vec3 pos = position;
-                float angle = uTime * (0.05 + aRandom * 0.05);
-                float s = sin(angle);
-                float c = cos(angle);
-                
-                float x = pos.x * c - pos.z * s;
-                float z = pos.x * s + pos.z * c;
-                pos.x = x;
-                pos.z = z;
+        applyParticleQuality();
+    }
 
-                pos.y += sin(uTime + aRandom * 5.0) * 0.2;
+    // Lower tiers draw a share of the field. Vertices are shuffled, so any
+    // leading range is an even sample of it.
+    function applyParticleQuality() {
+        if (!particleField) return;
+        const drawn = Math.max(1, Math.floor(particleField.count * quality.tier.particleFraction));
+        particleField.geometry.setDrawRange(0, drawn);
+        // Keep total brightness close to the original 4,000-point field
+        const alpha = Math.min(0.8, 0.8 * Math.sqrt(4000 / drawn));
+        particlesMat.uniforms.uAlpha.value = alpha * visuals.particleOpacity;
+    }
 
-                vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
-                gl_Position = projectionMatrix * mvPosition;
-                
-                gl_PointSize = (4.0 * aRandom + 1.0) * (20.0 / -mvPosition.z);
-                vAlpha = 0.8;
-            }
-        `,
-        fragmentShader: `
-            uniform vec3 uColor;
-            varying float vAlpha;
-            
-            void main() {
-                float r = distance(gl_PointCoord, vec2(0.5));
-                if (r > 0.5) discard;
-                float strength = 1.0 - (r * 2.0);
-                strength = pow(strength, 2.0);
-                gl_FragColor = vec4(uColor, strength * vAlpha);
-            }
-        `,
-        transparent: true,
-        depthWrite: false,
-        blending: THREE.AdditiveBlending
+    // --- 3. Post-Processing (Selective Bloom) ---
+    // Only the core, the explosion and the particles glow; the background stays clean
+    const bloom = createSelectiveBloom(renderer, scene, camera, CONFIG.bloom);
+    bloom.add(core, 'core');
+
+    // --- Adaptive Quality ---
+    const quality = createQualityManager({
+        pinned: options.quality,
+        apply(tier) {
+            applyRenderQuality(renderer, bloom, tier);
+            applyParticleQuality();
+        }
     });
 
-    const particles = new THREE.Points(particlesGeo, particlesMat);
-    scene.add(particles);
-
-    // --- 3. Post-Processing ---
-    const renderScene = new RenderPass(scene, camera);
-    const bloomPass = new UnrealBloomPass(
-        new THREE.Vector2(window.innerWidth, window.innerHeight),
-        1.5, 0.4, 0.85
-    );
-    bloomPass.threshold = CONFIG.bloomThreshold;
-    bloomPass.strength = CONFIG.bloomStrength;
-    bloomPass.radius = CONFIG.bloomRadius;
+    // --- Theme Visuals ---
+    function applyVisuals() {
+        const bloomParams = bloomParamsFor(CONFIG.bloom, visuals);
+        Object.entries(bloomParams).forEach(([name, params]) => bloom.setParams(name, params));
+        bloom.setExposure(visuals.exposure);
+        scene.fog.density = CONFIG.fogDensity * visuals.fogDensity;
+        if (particlesMat) particlesMat.uniforms.uSize.value = visuals.particleSize;
+        applyParticleQuality();
+    }
+    applyVisuals();
 
-    const composer = new EffectComposer(renderer);
-    composer.addPass(renderScene);
-    composer.addPass(bloomPass);
+    // Wider distribution to cover left side (camera acts at x=-6)
+    generateSphereShell({ count: particlesCount, minRadius: 1, maxRadius: 26, center: [-5, 0, 0], spatialSort: true, seed: seeds.particles })
+        .then(data => {
+            if (controller.isDisposed) return;
+            buildParticles(data);
+            controller.invalidate();
+        })
+        .catch(e => console.error('Scene: could not generate particles', e));
 
     // --- 4. Mouse Parallax & Interaction ---
     let mouseX = 0;
@@ -154,137 +245,71 @@ export function initScene(containerId, initialTheme) {
     const windowHalfX = window.innerWidth / 2;
     const windowHalfY = window.innerHeight / 2;
 
-    const raycaster = new THREE.Raycaster();
-    const pointer = new THREE.Vector2();
     let isHovered = false;
     let isExploded = false;
+    let reduceMotion = isMotionReduced();
+
+    // Hover is tested against the core's bounding sphere, not its triangles
+    const picker = createPicker(camera, { interval: options.pickInterval });
+    picker.add(core, {
+        onEnter() {
+            isHovered = true;
+            document.body.style.cursor = 'pointer';
+        },
+        onLeave() {
+            isHovered = false;
+            document.body.style.cursor = 'default';
+        }
+    });
 
     // Explosion System
-    let explosionParticles;
-    let explosionGeo;
-    let explosionMat;
-    const explosionVelocities = [];
+    const { respawnDelay, ...explosionOptions } = { ...CONFIG.explosion, ...options.explosion };
+    const explosion = createExplosionEffect({
+        color: CONFIG.coreColor,
+        random: createRandom(seeds.explosion),
+        ...explosionOptions
+    });
+    bloom.add(explosion.points, 'core');
+    scene.add(explosion.points);
+
+    let sceneTime = 0;
+    let respawnAt = Infinity; // Scene time at which the core comes back
+    let burstId = 0; // Bumped per explosion, so a stale burst can't schedule a respawn
 
     function respawnCore() {
+        respawnAt = Infinity;
         isExploded = false;
         core.visible = true;
-        core.scale.set(0.001, 0.001, 0.001); // Start small
-        isHovered = false;
-
-        if (explosionParticles) {
-            scene.remove(explosionParticles);
-            explosionParticles = null;
-            explosionVelocities.length = 0;
-        }
+        if (!reduceMotion) core.scale.set(0.001, 0.001, 0.001); // Start small
+        controller.invalidate();
     }
 
     function triggerExplosion() {
+        const burst = ++burstId;
+        respawnAt = Infinity;
         isExploded = true;
         core.visible = false;
         document.body.style.cursor = 'default';
 
-        const particleCount = 2000;
-        const posArray = new Float32Array(particleCount * 3);
-        const randomArray = new Float32Array(particleCount);
-
-        for (let i = 0; i < particleCount; i++) {
-            // Start from center with small spread
-            const r = 1.5 * Math.random();
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
-
-            const x = r * Math.sin(phi) * Math.cos(theta);
-            const y = r * Math.sin(phi) * Math.sin(theta);
-            const z = r * Math.cos(phi);
-
-            posArray[i * 3] = x;
-            posArray[i * 3 + 1] = y;
-            posArray[i * 3 + 2] = z;
-
-            randomArray[i] = Math.random();
-
-            // Explosion velocity outward
-            const force = 0.05 + Math.random() * 0.1;
-            explosionVelocities.push({
-                x: x * force,
-                y: y * force,
-                z: z * force
+        return explosion.trigger()
+            .catch(e => console.error('Scene: could not generate explosion', e))
+            .then(() => {
+                // Stopped early (e.g. by reduced motion) and the core is already back
+                if (burst === burstId && isExploded) respawnAt = sceneTime + respawnDelay;
             });
-        }
-
-        explosionGeo = new THREE.BufferGeometry();
-        explosionGeo.setAttribute('position', new THREE.BufferAttribute(posArray, 3));
-        explosionGeo.setAttribute('aRandom', new THREE.BufferAttribute(randomArray, 1));
-
-        explosionMat = new THREE.ShaderMaterial({
-            uniforms: {
-                uTime: { value: 0 },
-                uColor: { value: new THREE.Color(CONFIG.coreColor) },
-                uOpacity: { value: 1.0 }
-            },
-            vertexShader: `
-                uniform float uTime;
-                attribute float aRandom;
-                varying float vAlpha;
-                void main() {
-                    vec3 pos = position;
-                    float angle = uTime * (0.05 + aRandom * 0.05);
-                    float s = sin(angle);
-                    float c = cos(angle);
-                    
-                    float x = pos.x * c - pos.z * s;
-                    float z = pos.x * s + pos.z * c;
-                    pos.x = x;
-                    pos.z = z;
-                    pos.y += sin(uTime + aRandom * 5.0) * 0.2;
-
-                    vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
-                    gl_Position = projectionMatrix * mvPosition;
-                    
-                    gl_PointSize = (3.0 * aRandom + 1.0) * (20.0 / -mvPosition.z);
-                    vAlpha = 0.8;
-                }
-            `,
-            fragmentShader: `
-                uniform vec3 uColor;
-                uniform float uOpacity;
-                varying float vAlpha;
-                void main() {
-                    float r = distance(gl_PointCoord, vec2(0.5));
-                    if (r > 0.5) discard;
-                    float strength = 1.0 - (r * 2.0);
-                    strength = pow(strength, 2.0);
-                    gl_FragColor = vec4(uColor, strength * vAlpha * uOpacity);
-                }
-            `,
-            transparent: true,
-            depthWrite: false,
-            blending: THREE.AdditiveBlending
-        });
-
-        explosionParticles = new THREE.Points(explosionGeo, explosionMat);
-        scene.add(explosionParticles);
-
-        setTimeout(respawnCore, 4000);
     }
 
-
-
-    document.addEventListener('mousemove', (event) => {
+    listeners.on(document, 'mousemove', (event) => {
         onInputMove(event.clientX, event.clientY);
-
-        // Raycaster pointer update
-        pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
-        pointer.y = - (event.clientY / window.innerHeight) * 2 + 1;
     });
 
-    document.addEventListener('click', () => {
-        if (!isExploded && isHovered) {
+    listeners.on(document, 'click', () => {
+        if (!isExploded && isHovered && !reduceMotion) {
             triggerExplosion();
         }
     });
 
-    document.addEventListener('touchmove', (event) => {
+    listeners.on(document, 'touchmove', (event) => {
         if (event.touches.length > 0) {
             onInputMove(event.touches[0].clientX, event.touches[0].clientY);
         }
@@ -332,12 +357,10 @@ export function initScene(containerId, initialTheme) {
     let velY = 0;
 
     function onInputMove(x, y) {
-        // Calculate velocity based on movement
-        const deltaX = (x - lastMouseX) * 0.001;
-        const deltaY = (y - lastMouseY) * 0.001;
-
-        velX += deltaX;
-        velY += deltaY;
+        // Calculate velocity (rad/s) based on movement
+        const gain = 0.001 * REFERENCE_FPS * (reduceMotion ? CONFIG.motion.reducedSpin : 1);
+        velX += (x - lastMouseX) * gain;
+        velY += (y - lastMouseY) * gain;
 
         lastMouseX = x;
         lastMouseY = y;
@@ -347,102 +370,73 @@ export function initScene(containerId, initialTheme) {
         mouseY = (y - windowHalfY) * 0.001;
     }
 
-    function animate() {
-        requestAnimationFrame(animate);
-
-        const time = clock.getElapsedTime();
-
-        // Smooth Camera Transition between Layouts
-        camera.position.lerp(targetCameraPos, 0.05);
-
-        // Simple Smooth Parallax applied on top of base position
-        const parallaxX = mouseX * 2;
-        const parallaxY = mouseY * 2;
+    const cameraGoal = new THREE.Vector3();
+    const hoverScale = new THREE.Vector3();
+    let particleTime = 0; // Runs slower with reduced motion
 
-        // Calculate final position with parallax
-        // We add parallax to the *current interpolated* position frame-by-frame
-        // Note: Simple addition here might drift if not careful, 
-        // but given the lerp above handles the base, we just add offset purely for lookAt calculation or modify position slightly?
-        // Better: Apply parallax as offset to the targetCameraPos equivalent
+    function animate(time, delta) {
+        const { motion } = CONFIG;
+        const parallax = reduceMotion ? 0 : motion.parallax;
+        const idleSpin = reduceMotion ? 0 : motion.idleSpin;
 
-        camera.position.x += (parallaxX - (camera.position.x - targetCameraPos.x)) * 0.05;
-        camera.position.y += (-parallaxY - (camera.position.y - targetCameraPos.y)) * 0.05;
+        // Ease toward the layout's camera position plus a small parallax offset
+        cameraGoal.copy(targetCameraPos);
+        cameraGoal.x += mouseX * parallax;
+        cameraGoal.y -= mouseY * parallax;
+        dampVector(camera.position, cameraGoal, motion.cameraSmoothing, delta);
 
         // Look At Target
         camera.lookAt(currentLookAt);
 
         // Object Animations
-        particlesMat.uniforms.uTime.value = time;
+        const particleDelta = delta * (reduceMotion ? motion.reducedParticleSpeed : 1);
+        particleTime += particleDelta;
+        if (particleField) particleField.update(particleTime, particleDelta);
+
+        sceneTime = time;
+        coreMat.uniforms.uTime.value = time;
+        picker.update(); // Also notices the core hiding and coming back
+        const isDecaying = entropy.update(delta);
 
         if (!isExploded) {
             // Standard Core Logic
-            core.rotation.y += velX + 0.005;
-            core.rotation.x += velY + 0.005;
-
-            // Raycast / Hover Logic
-            raycaster.setFromCamera(pointer, camera);
-            const intersects = raycaster.intersectObject(core);
-
-            if (intersects.length > 0) {
-                isHovered = true;
-                if (core.visible) document.body.style.cursor = 'pointer';
-                const targetScale = 1.3;
-                core.scale.lerp(new THREE.Vector3(targetScale, targetScale, targetScale), 0.1);
-            } else {
-                isHovered = false;
-                if (core.visible) document.body.style.cursor = 'default';
-                core.scale.lerp(new THREE.Vector3(1, 1, 1), 0.1);
-            }
-        } else {
-            // Explosion Animation
-            if (explosionParticles) {
-                const positions = explosionParticles.geometry.attributes.position.array;
-                for (let i = 0; i < explosionVelocities.length; i++) {
-                    positions[i * 3] += explosionVelocities[i].x;
-                    positions[i * 3 + 1] += explosionVelocities[i].y;
-                    positions[i * 3 + 2] += explosionVelocities[i].z;
-
-                    // Slow down expansion
-                    explosionVelocities[i].x *= 0.98;
-                    explosionVelocities[i].y *= 0.98;
-                    explosionVelocities[i].z *= 0.98;
-                }
-                explosionParticles.geometry.attributes.position.needsUpdate = true;
+            core.rotation.y += (velX + idleSpin) * delta;
+            core.rotation.x += (velY + idleSpin) * delta;
 
-                // Update Shader Uniforms
-                explosionMat.uniforms.uTime.value += 0.05;
-                explosionMat.uniforms.uOpacity.value *= 0.99;
+            // Spinning the core hard degrades it
+            const spin = Math.hypot(velX, velY);
+            if (spin > 0) entropy.raise(spin * CONFIG.entropy.gain * delta);
 
-                // Remove if invisible
-                if (explosionMat.uniforms.uOpacity.value < 0.01) {
-                    scene.remove(explosionParticles);
-                    explosionParticles = null;
-                }
-            }
+            // Hover Logic (picker callbacks set isHovered)
+            hoverScale.setScalar(isHovered ? 1.3 : 1);
+            dampVector(core.scale, hoverScale, motion.hoverSmoothing, delta);
         }
 
+        explosion.update(time);
+        if (isExploded && time >= respawnAt) respawnCore();
+
         // Damping (inertia)
-        velX *= 0.95;
-        velY *= 0.95;
+        velX = decay(velX, motion.spinDamping, delta);
+        velY = decay(velY, motion.spinDamping, delta);
 
         // Scroll interaction - Fade out core
         const scrollY = window.scrollY;
         const maxScroll = window.innerHeight * 0.5; // Fade out by half screen
         const opacity = Math.max(0, 1 - (scrollY / maxScroll));
 
-        coreMat.opacity = opacity * 0.5; // 0.5 is the base opacity
+        coreMat.uniforms.uOpacity.value = opacity * 0.5; // 0.5 is the base opacity
 
         if (!isExploded) {
             core.visible = opacity > 0.01;
         }
 
-        composer.render();
+        // Full frame rate while the explosion, spin inertia or decay plays out;
+        // idle spin and particle flow run at the ambient rate (see `ambient` below)
+        return isExploded || isDecaying || Math.abs(velX) > 6e-3 || Math.abs(velY) > 6e-3;
     }
 
-    animate();
-
     // --- Resize Handler ---
-    window.addEventListener('resize', () => {
+    listeners.on(window, 'resize', () => {
         const width = window.innerWidth;
         const height = window.innerHeight;
 
@@ -450,26 +444,71 @@ export function initScene(containerId, initialTheme) {
         camera.updateProjectionMatrix();
 
         renderer.setSize(width, height);
-        composer.setSize(width, height);
+        bloom.setSize(width, height);
 
         updateLayout(); // Trigger layout update
     });
 
     // --- Theme Change Handler ---
-    window.addEventListener('theme-change', (e) => {
-        const { color, bg } = e.detail;
+    const unsubscribeTheme = subscribeTheme((newTheme) => {
+        const { color, bg } = newTheme;
 
         // Update Config
         CONFIG.coreColor = new THREE.Color(color);
         CONFIG.bgColor = new THREE.Color(bg);
 
         // Update Materials
-        if (coreMat) coreMat.color = CONFIG.coreColor;
+        if (coreMat) coreMat.uniforms.uColor.value = CONFIG.coreColor;
         if (particlesMat) particlesMat.uniforms.uColor.value = CONFIG.coreColor;
-        if (explosionMat) explosionMat.uniforms.uColor.value = CONFIG.coreColor;
+        explosion.setColor(CONFIG.coreColor);
 
         // Update Fog & BG
         scene.background = CONFIG.bgColor;
         scene.fog.color = CONFIG.bgColor;
+
+        visuals = resolveVisuals(newTheme, 'landing');
+        applyVisuals();
+
+        controller.invalidate();
+    }, { transition: true });
+
+    // --- Motion Policy ---
+    // Switching to reduced motion mid-explosion brings the core straight back
+    const unsubscribeMotion = subscribeMotion((reduced) => {
+        reduceMotion = reduced;
+        if (reduced && isExploded) {
+            explosion.stop();
+            respawnCore();
+        }
+        controller.invalidate();
     });
+
+    // --- Lifecycle ---
+    const controller = createSceneController({
+        clock,
+        frame: animate,
+        render: bloom.render,
+        idleThreshold: options.idleThreshold,
+        ambient: () => !reduceMotion,
+        quality,
+        cleanup() {
+            listeners.removeAll();
+            unsubscribeTheme();
+            unsubscribeMotion();
+            picker.dispose();
+            document.body.style.cursor = '';
+
+            disposeObject(scene);
+            explosion.dispose();
+            if (particleField) particleField.dispose();
+            bloom.dispose();
+            disposeRenderer(renderer);
+        },
+        api: seedControls('landing', seed, {
+            entropy,
+            explode: () => (isExploded || reduceMotion ? Promise.resolve() : triggerExplosion())
+        })
+    });
+
+    return controller;
 }
@@ -0,0 +1,32 @@
+// --- Seed Control ---
+// Shows the scene's layout seed in the theme options panel (see random.js), so
+// it can be quoted in a bug report or opened again with ?seed=. Clicking it
+// locks the seed, so every load keeps this layout, or unlocks it again.
+// `controller` is a scene controller with `seed`, `isSeedLocked`, `lockSeed()`
+// and `unlockSeed()`; pages without a scene pass undefined.
+export function initSeedControl(controller, root = document) {
+    const options = root.querySelector('.theme-options');
+    if (!options || !controller) return;
+
+    const button = document.createElement('button');
+    button.className = 'seed-control';
+    button.textContent = `Seed ${controller.seed}`;
+
+    function render() {
+        const locked = controller.isSeedLocked;
+        button.setAttribute('aria-pressed', String(locked));
+        button.classList.toggle('active', locked);
+        button.title = locked
+            ? `Layout seed ${controller.seed}, kept on every load. Click to unlock`
+            : `Layout seed ${controller.seed}. Click to keep this layout`;
+    }
+
+    button.addEventListener('click', () => {
+        if (controller.isSeedLocked) controller.unlockSeed();
+        else controller.lockSeed();
+        render();
+    });
+
+    options.appendChild(button);
+    render();
+}
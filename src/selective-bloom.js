@@ -0,0 +1,188 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { disposeComposer } from './scene-lifecycle.js';
+
+// --- Selective Bloom ---
+// Objects opt into a named bloom group instead of the whole frame being bloomed.
+// Each group owns a render layer and its own UnrealBloomPass settings. Per frame:
+//   1. every group renders only its layer and blurs it (off screen)
+//   2. the normal scene pass renders everything
+//   3. a mix pass adds each group's glow on top of the scene pass
+// Bloom renders only see their own layer, so unbloomed objects don't occlude
+// the glow. That suits these scenes, which are mostly additive and transparent.
+
+const FIRST_BLOOM_LAYER = 1; // Layer 0 is the default layer every object renders on
+
+// `groups` maps a group name to { strength, radius, threshold }
+export function createSelectiveBloom(renderer, scene, camera, groups) {
+    const size = renderer.getSize(new THREE.Vector2());
+
+    // --- Bloom Groups ---
+    const bloomGroups = new Map();
+
+    Object.entries(groups).forEach(([name, params], index) => {
+        const layer = FIRST_BLOOM_LAYER + index;
+
+        const bloomPass = new UnrealBloomPass(size.clone(), params.strength, params.radius, params.threshold);
+        const composer = new EffectComposer(renderer);
+        composer.renderToScreen = false;
+        composer.addPass(new RenderPass(scene, camera));
+        composer.addPass(bloomPass);
+
+        bloomGroups.set(name, { layer, composer, bloomPass, params: { ...params } });
+    });
+
+    // --- Final Composite ---
+    const groupList = Array.from(bloomGroups.values());
+    const mixUniforms = { baseTexture: { value: null }, exposure: { value: 1 } };
+    groupList.forEach((group, i) => {
+        mixUniforms[`bloomTexture${i}`] = { value: null };
+    });
+
+    const mixMaterial = new THREE.ShaderMaterial({
+        uniforms: mixUniforms,
+        vertexShader: `
+            varying vec2 vUv;
+
+            void main() {
+                vUv = uv;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform sampler2D baseTexture;
+            uniform float exposure;
+            ${groupList.map((group, i) => `uniform sampler2D bloomTexture${i};`).join('\n')}
+            varying vec2 vUv;
+
+            void main() {
+                vec4 base = texture2D(baseTexture, vUv);
+                vec3 bloom = vec3(0.0);
+                ${groupList.map((group, i) => `bloom += texture2D(bloomTexture${i}, vUv).rgb;`).join('\n')}
+
+                // Let the glow show on transparent canvases too
+                float alpha = max(base.a, max(bloom.r, max(bloom.g, bloom.b)));
+                gl_FragColor = vec4((base.rgb + bloom) * exposure, min(alpha, 1.0));
+            }
+        `
+    });
+
+    const composer = new EffectComposer(renderer);
+    composer.addPass(new RenderPass(scene, camera));
+    composer.addPass(new ShaderPass(mixMaterial, 'baseTexture'));
+
+    // Quality settings (see quality-manager.js). Group strengths and bloom
+    // resolution are scaled relative to the configured values.
+    let pixelRatio = renderer.getPixelRatio();
+    let resolutionScale = 1;
+    let strengthScale = 1;
+
+    // --- Public API ---
+    function getGroup(name) {
+        const group = bloomGroups.get(name);
+        if (!group) throw new Error(`Selective bloom: unknown group "${name}"`);
+        return group;
+    }
+
+    // Opts an object (and its children) into a bloom group
+    function add(object, groupName) {
+        const { layer } = getGroup(groupName);
+        object.traverse(child => child.layers.enable(layer));
+    }
+
+    function remove(object, groupName) {
+        const { layer } = getGroup(groupName);
+        object.traverse(child => child.layers.disable(layer));
+    }
+
+    function applyParams({ bloomPass, params }) {
+        bloomPass.strength = params.strength * strengthScale;
+        bloomPass.radius = params.radius;
+        bloomPass.threshold = params.threshold;
+    }
+
+    function setParams(groupName, params) {
+        const group = getGroup(groupName);
+        Object.keys(group.params).forEach(key => {
+            if (params[key] !== undefined) group.params[key] = params[key];
+        });
+        applyParams(group);
+    }
+
+    function render() {
+        const cameraMask = camera.layers.mask;
+        const background = scene.background;
+        scene.background = null; // Only the opted-in objects should glow
+
+        groupList.forEach((group, i) => {
+            camera.layers.set(group.layer);
+            group.composer.render();
+            mixUniforms[`bloomTexture${i}`].value = group.composer.renderTarget2.texture;
+        });
+
+        camera.layers.mask = cameraMask;
+        scene.background = background;
+
+        composer.render();
+    }
+
+    function setSize(width, height) {
+        groupList.forEach(group => group.composer.setSize(width, height));
+        composer.setSize(width, height);
+    }
+
+    function setPixelRatio(ratio) {
+        pixelRatio = ratio;
+        groupList.forEach(group => group.composer.setPixelRatio(pixelRatio * resolutionScale));
+        composer.setPixelRatio(pixelRatio);
+    }
+
+    // Renders the glow at a fraction of the canvas resolution; the mix pass upscales it
+    function setResolutionScale(scale) {
+        resolutionScale = scale;
+        groupList.forEach(group => group.composer.setPixelRatio(pixelRatio * resolutionScale));
+    }
+
+    function setStrengthScale(scale) {
+        strengthScale = scale;
+        groupList.forEach(applyParams);
+    }
+
+    // Brightness multiplier for the final image. Renderer tone mapping doesn't
+    // reach frames that go through the composer, so exposure is applied here.
+    function setExposure(value) {
+        mixUniforms.exposure.value = value;
+    }
+
+    // MSAA sample count for the scene pass. The canvas itself is never
+    // antialiased since everything reaches it through the composer.
+    function setAntialias(samples) {
+        if (composer.renderTarget1.samples === samples) return;
+        const target = composer.renderTarget1.clone();
+        target.samples = samples;
+        composer.reset(target);
+    }
+
+    function dispose() {
+        groupList.forEach(group => disposeComposer(group.composer));
+        disposeComposer(composer); // The mix pass disposes mixMaterial
+    }
+
+    return {
+        add,
+        remove,
+        setParams,
+        getBloomPass: (groupName) => getGroup(groupName).bloomPass,
+        render,
+        setSize,
+        setPixelRatio,
+        setResolutionScale,
+        setStrengthScale,
+        setAntialias,
+        setExposure,
+        dispose
+    };
+}
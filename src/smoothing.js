@@ -0,0 +1,36 @@
+import * as THREE from 'three';
+
+// --- Frame-Rate Independent Motion ---
+// Every scene gets `delta` (seconds since the last frame) from its render
+// scheduler. Motion is written against it instead of fixed per-frame steps:
+//   - constant speeds are per second:       rotation.y += speed * delta
+//   - easing toward a target uses damp():   x = damp(x, target, rate, delta)
+//   - inertia uses decay():                 velocity = decay(velocity, rate, delta)
+// Rates are "per second": a rate of 5 closes ~99% of the gap in one second,
+// the same at 30, 60 or 144 Hz.
+
+// Input handlers that turn one pointer move into a velocity assume one move
+// per frame at this rate
+export const REFERENCE_FPS = 60;
+
+// Share of the remaining distance to cover this frame
+function dampFactor(rate, delta) {
+    return 1 - Math.exp(-rate * delta);
+}
+
+export function damp(current, target, rate, delta) {
+    return THREE.MathUtils.lerp(current, target, dampFactor(rate, delta));
+}
+
+// Vector2/Vector3/Color in place
+export function dampVector(vector, target, rate, delta) {
+    return vector.lerp(target, dampFactor(rate, delta));
+}
+
+export function dampQuaternion(quaternion, target, rate, delta) {
+    return quaternion.slerp(target, dampFactor(rate, delta));
+}
+
+export function decay(value, rate, delta) {
+    return value * Math.exp(-rate * delta);
+}
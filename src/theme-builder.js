@@ -0,0 +1,222 @@
+import { contrastRatio } from './color-utils.js';
+import {
+    deleteCustomTheme,
+    derivePalette,
+    exportTheme,
+    getCustomThemes,
+    getTheme,
+    importTheme,
+    normalizeHex,
+    saveCustomTheme,
+    setTheme,
+    themeToUrl,
+    validateTheme
+} from './theme-service.js';
+
+// --- Theme Builder ---
+// Panel for creating custom themes: pick the primary and background colors,
+// see the derived palette and any WCAG contrast problems, and preview the
+// result live on the page and in the scene. Previews are never persisted;
+// closing without saving restores the theme the panel was opened with.
+// Themes can also be imported from and exported to JSON files, or copied as
+// a share link (see the Sharing section of theme-service.js).
+
+// WCAG 2.x AA minimums
+const CONTRAST_NORMAL = 4.5;
+const CONTRAST_LARGE = 3; // Headings and other large text
+
+let panel = null;
+
+function readCssColor(name, fallback) {
+    try {
+        return normalizeHex(getComputedStyle(document.documentElement).getPropertyValue(name), name);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+// Text on the page sits on --color-bg: body and dim text in fixed colors,
+// headings and links in the primary color
+function contrastWarnings({ color, bg }) {
+    const checks = [
+        { label: 'Body text', fg: readCssColor('--color-text', '#ffffff'), min: CONTRAST_NORMAL },
+        { label: 'Dimmed text', fg: readCssColor('--color-text-dim', '#8899aa'), min: CONTRAST_NORMAL },
+        { label: 'Primary headings', fg: color, min: CONTRAST_LARGE },
+        { label: 'Primary links and labels', fg: color, min: CONTRAST_NORMAL }
+    ];
+
+    return checks
+        .map(check => ({ ...check, ratio: contrastRatio(check.fg, bg) }))
+        .filter(check => check.ratio < check.min)
+        .map(({ label, ratio, min }) => `${label}: ${ratio.toFixed(2)}:1 (needs ${min}:1)`);
+}
+
+function createPanel() {
+    const el = document.createElement('div');
+    el.className = 'theme-builder';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-label', 'Theme builder');
+    el.innerHTML = `
+        <h3 class="theme-builder-title">Theme Builder</h3>
+        <label class="theme-builder-field">Primary <input type="color" name="color"></label>
+        <label class="theme-builder-field">Background <input type="color" name="bg"></label>
+        <div class="theme-builder-palette">
+            <span class="theme-builder-swatch" data-swatch="secondary">Secondary</span>
+            <span class="theme-builder-swatch" data-swatch="particle">Particles</span>
+            <span class="theme-builder-swatch" data-swatch="border">Border</span>
+        </div>
+        <ul class="theme-builder-warnings" aria-live="polite"></ul>
+        <label class="theme-builder-field">Name <input type="text" name="name" maxlength="32"></label>
+        <div class="theme-builder-actions">
+            <button type="button" data-action="save">Save</button>
+            <button type="button" data-action="delete">Delete</button>
+            <button type="button" data-action="cancel">Cancel</button>
+        </div>
+        <div class="theme-builder-actions">
+            <button type="button" data-action="import">Import</button>
+            <button type="button" data-action="export">Export</button>
+            <button type="button" data-action="link">Copy Link</button>
+        </div>
+        <p class="theme-builder-status" aria-live="polite"></p>
+        <input type="file" name="file" accept=".json,application/json" hidden>
+    `;
+    document.body.appendChild(el);
+    return el;
+}
+
+// Opens the builder (a single shared panel) seeded with the current theme
+export function openThemeBuilder() {
+    if (panel) return;
+
+    const original = getTheme();
+    const el = createPanel();
+    const inputs = {
+        color: el.querySelector('input[name="color"]'),
+        bg: el.querySelector('input[name="bg"]'),
+        name: el.querySelector('input[name="name"]')
+    };
+    const deleteButton = el.querySelector('[data-action="delete"]');
+    const fileInput = el.querySelector('input[name="file"]');
+    const status = el.querySelector('.theme-builder-status');
+
+    // Fields the panel doesn't edit come from here (the opened or imported theme)
+    let base = original;
+
+    const isCustom = getCustomThemes().some(t => t.name === original.name);
+    inputs.color.value = original.color;
+    inputs.bg.value = original.bg;
+    inputs.name.value = isCustom ? original.name : `Custom ${getCustomThemes().length + 1}`;
+
+    function draft() {
+        return { ...base, name: inputs.name.value.trim(), color: inputs.color.value, bg: inputs.bg.value };
+    }
+
+    function update() {
+        const theme = draft();
+        const palette = derivePalette(theme);
+
+        el.querySelectorAll('[data-swatch]').forEach(swatch => {
+            swatch.style.setProperty('--swatch-color', palette[swatch.dataset.swatch]);
+        });
+
+        const warnings = contrastWarnings(theme);
+        el.querySelector('.theme-builder-warnings').innerHTML = warnings
+            .map(text => `<li>${text}</li>`)
+            .join('');
+
+        deleteButton.hidden = !getCustomThemes().some(t => t.name === theme.name);
+    }
+
+    function preview() {
+        update();
+        setTheme(draft(), { persist: false, duration: 0 });
+    }
+
+    function load(theme) {
+        base = theme;
+        inputs.color.value = theme.color;
+        inputs.bg.value = theme.bg;
+        if (theme.name) inputs.name.value = theme.name;
+        preview();
+    }
+
+    function download(theme) {
+        const blob = new Blob([exportTheme(theme)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${(theme.name || 'theme').toLowerCase().replace(/[^a-z0-9]+/g, '-')}.theme.json`;
+        document.body.appendChild(link);
+        link.click();
+        // Some browsers cancel the download if the URL is revoked during the click
+        setTimeout(() => {
+            URL.revokeObjectURL(url);
+            link.remove();
+        }, 0);
+    }
+
+    function copyLink(theme) {
+        navigator.clipboard.writeText(themeToUrl(theme))
+            .then(() => status.textContent = 'Link copied')
+            .catch(() => status.textContent = 'Could not copy the link');
+    }
+
+    function close(restore) {
+        if (restore) setTheme(original, { persist: false });
+        window.removeEventListener('keydown', onKeyDown);
+        el.remove();
+        panel = null;
+    }
+
+    function onKeyDown(e) {
+        if (e.key === 'Escape') close(true);
+    }
+
+    inputs.color.addEventListener('input', preview);
+    inputs.bg.addEventListener('input', preview);
+    inputs.name.addEventListener('input', update);
+
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        file.text()
+            .then(text => {
+                load(importTheme(text));
+                status.textContent = `Imported ${file.name}`;
+            })
+            .catch(err => status.textContent = err.message);
+    });
+    window.addEventListener('keydown', onKeyDown);
+
+    el.addEventListener('click', (e) => {
+        const action = e.target.dataset.action;
+
+        if (action === 'save') {
+            try {
+                setTheme(saveCustomTheme(draft()));
+                close(false);
+            } catch (err) {
+                inputs.name.setCustomValidity(err.message);
+                inputs.name.reportValidity();
+                inputs.name.setCustomValidity('');
+            }
+        } else if (action === 'delete') {
+            deleteCustomTheme(draft().name);
+            close(true);
+        } else if (action === 'cancel') {
+            close(true);
+        } else if (action === 'import') {
+            fileInput.click();
+        } else if (action === 'export') {
+            download(validateTheme(draft()));
+        } else if (action === 'link') {
+            copyLink(validateTheme(draft()));
+        }
+    });
+
+    panel = el;
+    update();
+    inputs.color.focus();
+}
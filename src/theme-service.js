@@ -0,0 +1,511 @@
+import { mixOklab, offsetHsl } from './color-utils.js';
+
+// --- Theme Service ---
+// Single owner of the site theme on every page: loads the stored theme
+// (migrating older formats), validates changes, persists them, writes the CSS
+// variables and notifies subscribers (page UI and scenes). Changes made in
+// another tab or window arrive through `storage` events and are applied the
+// same way, so every open page stays in sync.
+//
+// Changes are tweened: the CSS variables and `transition` subscribers (the
+// scenes) receive the same interpolated theme every frame, mixed in OKLab,
+// so the page and the canvas move together.
+//
+// Stored under localStorage 'theme', version 3:
+//   { version: 3, name?: string, color: '#rrggbb', bg: '#rrggbb',
+//     visuals?: { ...VISUAL_DEFAULTS keys },
+//     scenes?: { landing?: visuals, docs?: visuals, details?: visuals } }
+// `visuals` tune how the scenes render, `scenes` overrides them per scene.
+// Version 2 had no `visuals` or `scenes`; version 1 also had no `version`
+// (and no `name`).
+//
+// The resolved CSS variables are also stored under 'theme-css', so that
+// public/theme-boot.js can apply them before first paint without knowing
+// anything about the schema.
+//
+// Custom themes made in the theme builder are kept under 'custom-themes' as
+// { version, themes: [theme, ...] } and synced between tabs the same way.
+
+export const THEME_VERSION = 3;
+
+const STORAGE_KEY = 'theme';
+const CSS_STORAGE_KEY = 'theme-css';
+const CUSTOM_STORAGE_KEY = 'custom-themes';
+
+export const DEFAULT_THEME = Object.freeze({
+    version: THEME_VERSION,
+    name: 'Cyber Cyan',
+    color: '#00ffff',
+    bg: '#050505'
+});
+
+// --- Colors ---
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Returns the color as lowercase #rrggbb, throws if it isn't a hex color
+export function normalizeHex(value, field = 'color') {
+    if (typeof value !== 'string' || !HEX_COLOR.test(value.trim())) {
+        throw new Error(`Theme: "${field}" must be a hex color, got ${JSON.stringify(value)}`);
+    }
+
+    const hex = value.trim().toLowerCase();
+    if (hex.length === 4) return '#' + hex.slice(1).split('').map(c => c + c).join('');
+    return hex;
+}
+
+// --- Visuals ---
+// Scene render settings a theme can tune. Each is a multiplier of the value
+// the scene was designed with (1 keeps it as is), except `bloomThreshold`:
+// the luminance (0-1) below which nothing glows, null keeps each bloom
+// group's own.
+export const VISUAL_DEFAULTS = Object.freeze({
+    bloomStrength: 1,
+    bloomRadius: 1,
+    bloomThreshold: null,
+    fogDensity: 1,
+    particleSize: 1,
+    particleOpacity: 1,
+    exposure: 1
+});
+
+export const SCENE_NAMES = ['landing', 'docs', 'details'];
+
+function validateVisuals(input, field) {
+    if (!input || typeof input !== 'object') throw new Error(`Theme: "${field}" must be an object`);
+
+    const visuals = {};
+    Object.entries(input).forEach(([key, value]) => {
+        if (!(key in VISUAL_DEFAULTS)) throw new Error(`Theme: unknown visual "${field}.${key}"`);
+        if (key === 'bloomThreshold' && value === null) {
+            visuals[key] = null;
+            return;
+        }
+        const max = key === 'bloomThreshold' ? 1 : Infinity;
+        if (typeof value !== 'number' || !(value >= 0 && value <= max)) {
+            const range = max === 1 ? 'from 0 to 1' : 'of 0 or more';
+            throw new Error(`Theme: "${field}.${key}" must be a number ${range}, got ${JSON.stringify(value)}`);
+        }
+        visuals[key] = value;
+    });
+    return Object.freeze(visuals);
+}
+
+function validateScenes(input) {
+    if (!input || typeof input !== 'object') throw new Error('Theme: "scenes" must be an object');
+
+    const scenes = {};
+    Object.entries(input).forEach(([name, visuals]) => {
+        if (!SCENE_NAMES.includes(name)) throw new Error(`Theme: unknown scene "${name}"`);
+        scenes[name] = validateVisuals(visuals, `scenes.${name}`);
+    });
+    return Object.freeze(scenes);
+}
+
+// The complete visuals `scene` should use: defaults, then the theme's
+// visuals, then its overrides for that scene
+export function resolveVisuals(theme, scene) {
+    return {
+        ...VISUAL_DEFAULTS,
+        ...theme.visuals,
+        ...(theme.scenes && theme.scenes[scene])
+    };
+}
+
+// Bloom group params (name -> { strength, radius, threshold }) as designed,
+// with the visuals applied
+export function bloomParamsFor(groups, visuals) {
+    return Object.fromEntries(Object.entries(groups).map(([name, params]) => [name, {
+        strength: params.strength * visuals.bloomStrength,
+        radius: params.radius * visuals.bloomRadius,
+        threshold: visuals.bloomThreshold === null ? params.threshold : visuals.bloomThreshold
+    }]));
+}
+
+// --- Validation ---
+// Throws on missing or malformed fields, returns a normalized, frozen copy
+export function validateTheme(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Theme: expected an object with "color" and "bg"');
+    }
+
+    const theme = {
+        version: THEME_VERSION,
+        color: normalizeHex(input.color, 'color'),
+        bg: normalizeHex(input.bg, 'bg')
+    };
+
+    if (input.name !== undefined) {
+        if (typeof input.name !== 'string') throw new Error('Theme: "name" must be a string');
+        theme.name = input.name;
+    }
+    if (input.visuals !== undefined) theme.visuals = validateVisuals(input.visuals, 'visuals');
+    if (input.scenes !== undefined) theme.scenes = validateScenes(input.scenes);
+
+    return Object.freeze(theme);
+}
+
+// --- Migration ---
+// Each step upgrades stored data by one version
+const MIGRATIONS = {
+    1: (data) => ({ ...data, version: 2 }),
+    2: (data) => ({ ...data, version: 3 }) // Visuals are optional, nothing to convert
+};
+
+export function migrateTheme(data) {
+    if (!data || typeof data !== 'object') throw new Error('Theme: stored theme is not an object');
+
+    let migrated = data;
+    let version = data.version === undefined ? 1 : data.version;
+    if (!MIGRATIONS[version] && version !== THEME_VERSION) {
+        throw new Error(`Theme: unsupported stored version ${version}`);
+    }
+
+    while (version < THEME_VERSION) {
+        migrated = MIGRATIONS[version](migrated);
+        version = migrated.version;
+    }
+    return migrated;
+}
+
+// --- Storage ---
+function readStorage(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (e) {
+        return null; // Storage can be unavailable (privacy modes, sandboxed frames)
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (e) {
+        console.warn('Theme: could not persist theme', e);
+    }
+}
+
+// Parses a stored value; falls back to the default theme if it is missing or bad
+function parseStoredTheme(raw) {
+    if (!raw) return { theme: DEFAULT_THEME, isCurrent: true };
+
+    try {
+        const stored = JSON.parse(raw);
+        const theme = validateTheme(migrateTheme(stored));
+        return { theme, isCurrent: stored.version === THEME_VERSION };
+    } catch (e) {
+        console.warn('Theme: ignoring stored theme', e);
+        return { theme: DEFAULT_THEME, isCurrent: true };
+    }
+}
+
+function loadTheme() {
+    const { theme, isCurrent } = parseStoredTheme(readStorage(STORAGE_KEY));
+    if (!isCurrent) saveTheme(theme);
+    return theme;
+}
+
+function saveTheme(theme) {
+    writeStorage(STORAGE_KEY, JSON.stringify(theme));
+    writeStorage(CSS_STORAGE_KEY, JSON.stringify(themeToCss(theme)));
+}
+
+// --- Palette ---
+// Colors every page and scene derives from the primary color. Only `color`
+// and `bg` are stored; these are recomputed whenever they are needed.
+export function derivePalette(theme) {
+    return {
+        secondary: offsetHsl(theme.color, 0.6, 0, -0.2), // Complementary, darker
+        particle: offsetHsl(theme.color, 0, 0, 0.2), // Lighter
+        border: `${theme.color}33` // ~20% alpha
+    };
+}
+
+// --- CSS ---
+// --color-secondary stays the stylesheets' fixed accent; the derived secondary
+// is only used by the scenes
+export function themeToCss(theme) {
+    const palette = derivePalette(theme);
+    return {
+        '--color-primary': theme.color,
+        '--color-bg': theme.bg,
+        '--glass-border': palette.border
+    };
+}
+
+function applyCss(theme) {
+    const style = document.documentElement.style;
+    Object.entries(themeToCss(theme)).forEach(([name, value]) => style.setProperty(name, value));
+}
+
+// --- Transitions ---
+export const DEFAULT_TRANSITION_DURATION = 600; // ms
+
+let transitionDuration = DEFAULT_TRANSITION_DURATION;
+let transitionFrame = null;
+
+export function setTransitionDuration(ms) {
+    transitionDuration = Math.max(0, ms);
+}
+
+function mixVisuals(from, to, t) {
+    return Object.fromEntries(Object.keys(VISUAL_DEFAULTS).map(key => {
+        const a = from[key];
+        const b = to[key];
+        return [key, a === null || b === null ? b : a + (b - a) * t];
+    }));
+}
+
+// Theme at `t` (0-1) between two themes: colors mix in OKLab and visuals
+// linearly, with every scene's visuals resolved; the rest comes from `to`
+export function interpolateTheme(from, to, t) {
+    return Object.freeze({
+        ...to,
+        color: mixOklab(from.color, to.color, t),
+        bg: mixOklab(from.bg, to.bg, t),
+        visuals: mixVisuals(resolveVisuals(from), resolveVisuals(to), t),
+        scenes: Object.fromEntries(SCENE_NAMES.map(name => [
+            name,
+            mixVisuals(resolveVisuals(from, name), resolveVisuals(to, name), t)
+        ]))
+    });
+}
+
+function easeInOut(t) {
+    return t * t * (3 - 2 * t);
+}
+
+// Hidden tabs get no animation frames, so they jump straight to the end
+function startTransition(to, duration) {
+    cancelAnimationFrame(transitionFrame);
+    transitionFrame = null;
+
+    if (duration <= 0 || document.hidden) {
+        display(to);
+        return;
+    }
+
+    const from = displayed;
+    const start = performance.now();
+
+    function step(now) {
+        const t = Math.min((now - start) / duration, 1);
+        display(t < 1 ? interpolateTheme(from, to, easeInOut(t)) : to);
+        transitionFrame = t < 1 ? requestAnimationFrame(step) : null;
+    }
+    transitionFrame = requestAnimationFrame(step);
+}
+
+// --- State & Subscriptions ---
+let current = loadTheme();
+let displayed = current; // Differs from `current` while a transition runs
+let urlTheme = null; // Shared theme applied by applyUrlTheme() and not stored
+const subscribers = new Set();
+const transitionSubscribers = new Set();
+
+applyCss(current);
+
+function notify(listeners, theme, previous) {
+    listeners.forEach(listener => {
+        try {
+            listener(theme, previous);
+        } catch (e) {
+            console.error('Theme: subscriber failed', e);
+        }
+    });
+}
+
+function display(theme) {
+    const previous = displayed;
+    displayed = theme;
+    applyCss(displayed);
+    notify(transitionSubscribers, displayed, previous);
+}
+
+export function getTheme() {
+    return current;
+}
+
+// Validates and applies a theme. Missing colors keep their current value; the
+// name is only kept if given. Returns the applied theme, throws if invalid.
+// `duration` (ms) overrides the transition length for this change.
+export function setTheme(input, { persist = true, duration = transitionDuration } = {}) {
+    const next = validateTheme({ color: current.color, bg: current.bg, ...input });
+    if (persist) {
+        saveTheme(next);
+        urlTheme = null;
+    }
+    return applyTheme(next, duration);
+}
+
+function applyTheme(next, duration = transitionDuration) {
+    const previous = current;
+    current = next;
+
+    notify(subscribers, current, previous);
+    startTransition(current, duration);
+    return current;
+}
+
+// Calls `listener(theme, previous)` on every change; returns an unsubscribe
+// function. With `transition: true` the listener is instead called on every
+// frame of the transition with the interpolated theme (the last call gets the
+// new theme itself).
+export function subscribeTheme(listener, { transition = false } = {}) {
+    const set = transition ? transitionSubscribers : subscribers;
+    set.add(listener);
+    return () => set.delete(listener);
+}
+
+// --- Custom Themes ---
+const customSubscribers = new Set();
+
+function loadCustomThemes() {
+    try {
+        const stored = JSON.parse(readStorage(CUSTOM_STORAGE_KEY));
+        if (!stored || !Array.isArray(stored.themes)) return [];
+
+        return stored.themes.flatMap(theme => {
+            try {
+                const valid = validateTheme(migrateTheme({ version: stored.version, ...theme }));
+                return valid.name ? [valid] : [];
+            } catch (e) {
+                console.warn('Theme: ignoring stored custom theme', e);
+                return [];
+            }
+        });
+    } catch (e) {
+        console.warn('Theme: ignoring stored custom themes', e);
+        return [];
+    }
+}
+
+let customThemes = loadCustomThemes();
+
+function updateCustomThemes(themes, { persist = true } = {}) {
+    customThemes = themes;
+    if (persist) writeStorage(CUSTOM_STORAGE_KEY, JSON.stringify({ version: THEME_VERSION, themes }));
+    notify(customSubscribers, customThemes);
+}
+
+export function getCustomThemes() {
+    return customThemes;
+}
+
+// Adds a named theme, replacing any custom theme with the same name
+export function saveCustomTheme(input) {
+    const theme = validateTheme(input);
+    if (!theme.name || !theme.name.trim()) throw new Error('Theme: custom themes need a name');
+
+    updateCustomThemes([...customThemes.filter(t => t.name !== theme.name), theme]);
+    return theme;
+}
+
+export function deleteCustomTheme(name) {
+    updateCustomThemes(customThemes.filter(t => t.name !== name));
+}
+
+// Calls `listener(themes)` whenever the custom theme list changes
+export function subscribeCustomThemes(listener) {
+    customSubscribers.add(listener);
+    return () => customSubscribers.delete(listener);
+}
+
+// --- Sharing ---
+// Themes travel as JSON files (exportTheme / importTheme) and in links, as
+// ?theme=<value> or #theme=<value>. The value is either the base64url theme
+// JSON written by themeToUrl() or a hand-written "rrggbb-rrggbb" pair
+// (primary-background). The query parameter wins if both are present.
+const URL_PARAM = 'theme';
+const SHORTHAND = /^([0-9a-f]{6})-([0-9a-f]{6})$/i;
+
+export function exportTheme(theme = current) {
+    return JSON.stringify(theme, null, 2);
+}
+
+// Parses exported JSON of any version; throws if it isn't a valid theme
+export function importTheme(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (e) {
+        throw new Error('Theme: import is not valid JSON');
+    }
+    return validateTheme(migrateTheme(data));
+}
+
+function encodeBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    return btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function decodeBase64Url(value) {
+    const bytes = Uint8Array.from(atob(value.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+export function decodeThemeParam(value) {
+    const pair = SHORTHAND.exec(value);
+    if (pair) return validateTheme({ color: `#${pair[1]}`, bg: `#${pair[2]}` });
+    return importTheme(decodeBase64Url(value));
+}
+
+// Link to `href` (default: the current page) that opens with the theme
+export function themeToUrl(theme = current, href = location.href) {
+    const url = new URL(href);
+    url.searchParams.set(URL_PARAM, encodeBase64Url(JSON.stringify(theme)));
+    return url.href;
+}
+
+// Theme from the page URL, or null if there is none (or it is invalid)
+export function readUrlTheme(url = location) {
+    const value = new URLSearchParams(url.search).get(URL_PARAM) ||
+        new URLSearchParams(url.hash.slice(1)).get(URL_PARAM);
+    if (!value) return null;
+
+    try {
+        return decodeThemeParam(value);
+    } catch (e) {
+        console.warn('Theme: ignoring theme in URL', e);
+        return null;
+    }
+}
+
+// Applies the URL's theme for this page only, without a transition. Page
+// startup calls this before creating its scene, so the scene starts in the
+// theme. The visitor's stored theme is left alone until they keep the shared
+// one with keepUrlTheme() (the theme switcher offers a button for it).
+export function applyUrlTheme() {
+    const theme = readUrlTheme();
+    if (!theme) return null;
+    urlTheme = setTheme(theme, { persist: false, duration: 0 });
+    return urlTheme;
+}
+
+// True while the page shows a shared theme that isn't stored
+export function hasUnsavedUrlTheme() {
+    return urlTheme !== null && JSON.stringify(urlTheme) === JSON.stringify(current);
+}
+
+// Stores the shared theme as the visitor's own (and so in their other tabs)
+export function keepUrlTheme() {
+    if (!hasUnsavedUrlTheme()) return;
+    saveTheme(current);
+    urlTheme = null;
+}
+
+// --- Cross-Tab Sync ---
+// `storage` only fires in the other tabs, so applying here never echoes back.
+// The writing tab already persisted the theme (and its CSS snapshot).
+window.addEventListener('storage', (e) => {
+    if (e.key === CUSTOM_STORAGE_KEY || e.key === null) {
+        updateCustomThemes(loadCustomThemes(), { persist: false });
+    }
+    if (e.key !== STORAGE_KEY && e.key !== null) return; // null: storage was cleared
+
+    const { theme } = parseStoredTheme(e.key === null ? null : e.newValue);
+    if (JSON.stringify(theme) === JSON.stringify(current)) return;
+    applyTheme(theme);
+});
@@ -0,0 +1,101 @@
+import {
+    getCustomThemes,
+    getTheme,
+    hasUnsavedUrlTheme,
+    keepUrlTheme,
+    setTheme,
+    subscribeCustomThemes,
+    subscribeTheme
+} from './theme-service.js';
+import { openThemeBuilder } from './theme-builder.js';
+
+// --- Theme Switcher ---
+// Wires the preset `.theme-btn` buttons (data-color / data-bg / title, plus
+// optional JSON data-visuals / data-scenes, see theme-service.js) to the
+// theme service, adds a button per saved custom theme after the presets plus
+// one that opens the theme builder, and marks the current theme's button.
+// While a theme from a shared link is shown but not stored, a keep button
+// stores it as the visitor's own.
+// Returns a function that stops following theme changes.
+export function initThemeSwitcher(root = document) {
+    const options = root.querySelector('.theme-options');
+    if (!options) return () => {};
+
+    const addButton = document.createElement('button');
+    addButton.className = 'theme-btn theme-btn-add';
+    addButton.title = 'Create Theme';
+    addButton.setAttribute('aria-label', 'Create theme');
+    addButton.textContent = '+';
+
+    const keepButton = document.createElement('button');
+    keepButton.className = 'theme-btn theme-btn-keep';
+    keepButton.title = 'Keep Shared Theme';
+    keepButton.setAttribute('aria-label', 'Keep the shared theme');
+    keepButton.textContent = '✓';
+
+    const customThemes = new WeakMap(); // Custom button -> its saved theme
+
+    function presetTheme(btn) {
+        const theme = { name: btn.title, color: btn.dataset.color, bg: btn.dataset.bg };
+        if (btn.dataset.visuals) theme.visuals = JSON.parse(btn.dataset.visuals);
+        if (btn.dataset.scenes) theme.scenes = JSON.parse(btn.dataset.scenes);
+        return theme;
+    }
+
+    function createCustomButton(theme) {
+        const btn = document.createElement('button');
+        btn.className = 'theme-btn custom';
+        btn.dataset.color = theme.color;
+        btn.dataset.bg = theme.bg;
+        btn.title = theme.name;
+        btn.style.setProperty('--btn-color', theme.color);
+        customThemes.set(btn, theme);
+        return btn;
+    }
+
+    function markActive(theme) {
+        options.querySelectorAll('.theme-btn').forEach(btn => {
+            const isActive = btn.dataset.color === theme.color && btn.dataset.bg === theme.bg;
+            btn.classList.toggle('active', isActive);
+        });
+        keepButton.hidden = !hasUnsavedUrlTheme();
+    }
+
+    function renderCustomThemes(themes) {
+        options.querySelectorAll('.theme-btn.custom').forEach(btn => btn.remove());
+        themes.forEach(theme => options.insertBefore(createCustomButton(theme), addButton));
+        markActive(getTheme());
+    }
+
+    // One delegated handler covers presets and custom buttons added later
+    options.addEventListener('click', (e) => {
+        const btn = e.target.closest('.theme-btn');
+        if (!btn) return;
+        if (btn === addButton) {
+            openThemeBuilder();
+            return;
+        }
+        if (btn === keepButton) {
+            keepUrlTheme();
+            keepButton.hidden = true;
+            return;
+        }
+
+        try {
+            setTheme(customThemes.get(btn) || presetTheme(btn));
+        } catch (e) {
+            console.error('Theme switcher: invalid preset', e);
+        }
+    });
+
+    options.appendChild(addButton);
+    options.appendChild(keepButton);
+    renderCustomThemes(getCustomThemes());
+
+    const unsubscribeTheme = subscribeTheme(markActive);
+    const unsubscribeCustom = subscribeCustomThemes(renderCustomThemes);
+    return () => {
+        unsubscribeTheme();
+        unsubscribeCustom();
+    };
+}